@@ -10,8 +10,11 @@ class AdminDashboard {
     this.autoRefreshEnabled = true;
     this.performanceChart = null;
     this.usageChart = null;
+    this.spendChart = null;
     this.activityLog = [];
     this.isChartTypeToggled = false;
+    this.promptTemplates = [];
+    this.rankingProfiles = [];
     
     // Initialize dashboard
     this.init();
@@ -39,6 +42,10 @@ class AdminDashboard {
       
       // Setup charts
       this.initializeCharts();
+
+      // Prompt templates and ranking profiles load once - auto-refresh would overwrite unsaved edits
+      await this.loadPromptTemplates();
+      await this.loadRankingProfiles();
       
       // Setup auto-refresh
       this.setupAutoRefresh();
@@ -85,6 +92,11 @@ class AdminDashboard {
       this.updatePerformanceChart(parseInt(e.target.value));
     });
 
+    // Spend chart time range
+    document.getElementById('spendTimeRange').addEventListener('change', (e) => {
+      this.updateSpendChart(parseInt(e.target.value));
+    });
+
     // Popular queries limit
     document.getElementById('popularQueriesLimit').addEventListener('change', (e) => {
       this.updatePopularQueriesTable(parseInt(e.target.value));
@@ -115,6 +127,61 @@ class AdminDashboard {
 
     // Modal controls
     this.setupModalControls();
+
+    // Prompt template editor
+    this.setupPromptControls();
+
+    // Portal match explorer
+    document.getElementById('matchExplainForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.explainPortalMatch();
+    });
+
+    document.getElementById('compareProfilesBtn').addEventListener('click', () => {
+      this.compareRankingProfiles();
+    });
+
+    // Ranking profile editor
+    document.getElementById('rankingProfileName').addEventListener('change', () => {
+      this.loadRankingProfile();
+    });
+
+    document.getElementById('saveRankingBtn').addEventListener('click', () => {
+      this.saveRankingProfile();
+    });
+
+    document.getElementById('activateRankingBtn').addEventListener('click', () => {
+      this.activateRankingProfile();
+    });
+  }
+
+  /**
+   * Setup prompt template editor controls
+   */
+  setupPromptControls() {
+    document.getElementById('promptTemplateName').addEventListener('change', () => {
+      this.renderPromptVersions();
+    });
+
+    document.getElementById('promptVersion').addEventListener('change', () => {
+      this.loadPromptVersion();
+    });
+
+    document.getElementById('previewPromptBtn').addEventListener('click', () => {
+      this.previewPrompt();
+    });
+
+    document.getElementById('savePromptBtn').addEventListener('click', () => {
+      this.savePromptVersion();
+    });
+
+    document.getElementById('activatePromptBtn').addEventListener('click', () => {
+      this.activatePromptVersion();
+    });
+
+    document.getElementById('invalidatePromptBtn').addEventListener('click', () => {
+      this.invalidatePromptVersion();
+    });
   }
 
   /**
@@ -208,6 +275,22 @@ class AdminDashboard {
     }
   }
 
+  /**
+   * Fetch LLM token usage and spend
+   */
+  async fetchUsageStats(days = 30) {
+    try {
+      const response = await this.authenticatedFetch(`${this.baseUrl}/api/cache/usage?days=${days}`);
+      if (!response) return null; // Auth error handled
+      if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      const data = await response.json();
+      return data.llm_usage;
+    } catch (error) {
+      console.error('[ADMIN] Failed to fetch LLM usage:', error);
+      throw error;
+    }
+  }
+
   /**
    * Fetch system health status
    */
@@ -263,10 +346,12 @@ class AdminDashboard {
     document.getElementById('avgResponseTime').textContent = `${Math.round(summary.avg_response_time_ms)} ms`;
     this.updateStatChange('responseTimeChange', parseFloat(summary.avg_response_time_ms), 200, 'ms', true);
 
-    // API Calls Saved
-    document.getElementById('apiCallsSaved').textContent = this.formatNumber(summary.api_calls_saved);
-    const savings = summary.api_calls_saved * 0.025; // $0.025 per API call
-    this.updateStatChange('costSavings', savings, null, `$${savings.toFixed(2)} saved`);
+    // API Calls Saved (cache hits plus requests coalesced onto an in-flight call)
+    const coalesced = summary.coalesced_requests || 0;
+    const callsSaved = summary.api_calls_saved + coalesced;
+    document.getElementById('apiCallsSaved').textContent = this.formatNumber(callsSaved);
+    const savings = callsSaved * 0.025; // $0.025 per API call
+    this.updateStatChange('costSavings', savings, null, `$${savings.toFixed(2)} saved (${this.formatNumber(coalesced)} coalesced)`);
   }
 
   /**
@@ -335,6 +420,16 @@ class AdminDashboard {
     this.updateHealthMetric('memoryCacheHealth', health.memory_cache_size > 0, `${health.memory_cache_size || 0} entries`);
     this.updateHealthMetric('databaseHealth', health.cache_initialized, 'Database connected');
     this.updateHealthMetric('apiServiceHealth', health.last_24h_requests > 0, `${health.last_24h_requests || 0} requests today`);
+
+    const breaker = health.circuit_breaker;
+    if (breaker) {
+      const breakerMessages = {
+        closed: `Closed (${breaker.consecutive_failures}/${breaker.failure_threshold} failures)`,
+        open: `Open - retrying in ${Math.ceil(breaker.retry_after_ms / 1000)}s`,
+        half_open: 'Half-open - probing upstream'
+      };
+      this.updateHealthMetric('circuitBreakerHealth', breaker.state === 'closed', breakerMessages[breaker.state] || breaker.state);
+    }
   }
 
   /**
@@ -422,6 +517,14 @@ class AdminDashboard {
     document.getElementById('dbCacheSize').textContent = '~' + this.formatNumber(summary.total_requests);
     document.getElementById('cacheAge').textContent = '24h max'; // Based on expiration
     document.getElementById('expiredEntries').textContent = '0'; // Would need separate API
+
+    // Live entries by result quality
+    const qualityCounts = summary.quality_counts || {};
+    document.getElementById('qualityApi').textContent = this.formatNumber(qualityCounts.api || 0);
+    document.getElementById('qualityRepaired').textContent = this.formatNumber(qualityCounts.repaired || 0);
+    document.getElementById('qualityFallback').textContent = this.formatNumber(qualityCounts.fallback || 0);
+    document.getElementById('qualityError').textContent = this.formatNumber(qualityCounts.error || 0);
+    document.getElementById('coalescedRequests').textContent = this.formatNumber(summary.coalesced_requests || 0);
   }
 
   /**
@@ -430,6 +533,7 @@ class AdminDashboard {
   initializeCharts() {
     this.initializePerformanceChart();
     this.initializeUsageChart();
+    this.initializeSpendChart();
   }
 
   /**
@@ -580,22 +684,25 @@ class AdminDashboard {
       this.usageChart = new Chart(ctx, {
         type: 'doughnut',
         data: {
-          labels: ['Cache Hits', 'Cache Misses', 'API Calls Saved'],
+          labels: ['Cache Hits', 'Cache Misses', 'API Calls Saved', 'Coalesced Requests'],
           datasets: [{
             data: [
               summary.cache_hits,
               summary.cache_misses,
-              summary.api_calls_saved
+              summary.api_calls_saved,
+              summary.coalesced_requests || 0
             ],
             backgroundColor: [
               '#48bb78',
               '#f56565',
-              '#667eea'
+              '#667eea',
+              '#ed8936'
             ],
             borderColor: [
               '#38a169',
               '#e53e3e',
-              '#5a67d8'
+              '#5a67d8',
+              '#dd6b20'
             ],
             borderWidth: 2
           }]
@@ -709,6 +816,142 @@ class AdminDashboard {
     }
   }
 
+  /**
+   * Format a dollar amount; spend per day is often a fraction of a cent
+   */
+  formatUsd(amount) {
+    return `$${(amount || 0).toFixed(amount > 0 && amount < 1 ? 4 : 2)}`;
+  }
+
+  /**
+   * Daily spend and avoided cost series, oldest first
+   */
+  spendSeries(usage) {
+    const daily = [...(usage.daily_usage || [])].reverse();
+    return {
+      labels: daily.map(day => this.formatDate(new Date(day.date))),
+      spend: daily.map(day => parseFloat(day.cost_usd.toFixed(4))),
+      avoided: daily.map(day => parseFloat(day.avoided_cost_usd.toFixed(4)))
+    };
+  }
+
+  /**
+   * Show spend so far against the daily and monthly budgets
+   */
+  updateSpendSummary(usage) {
+    const { summary } = usage;
+    const { budget } = summary;
+    const describe = (period, label) => {
+      const text = `${label}: ${this.formatUsd(period.spent_usd)}${period.budget_usd ? ` of ${this.formatUsd(period.budget_usd)}` : ' (no budget)'}`;
+      return period.budget_usd && period.spent_usd >= period.budget_usd
+        ? `<span class="over-budget">${text} - portal-only mode</span>`
+        : text;
+    };
+
+    document.getElementById('spendSummary').innerHTML = [
+      describe(budget.daily, 'Today'),
+      describe(budget.monthly, 'This month'),
+      `${summary.requests.toLocaleString()} LLM calls, ${(summary.prompt_tokens + summary.completion_tokens).toLocaleString()} tokens`,
+      `Cache avoided ~${this.formatUsd(summary.avoided_cost_usd)}`
+    ].join(' &middot; ');
+  }
+
+  /**
+   * Initialize LLM spend vs cache savings chart
+   */
+  async initializeSpendChart() {
+    const ctx = document.getElementById('spendChart').getContext('2d');
+
+    try {
+      const days = parseInt(document.getElementById('spendTimeRange').value);
+      const usage = await this.fetchUsageStats(days);
+      const series = this.spendSeries(usage);
+      this.updateSpendSummary(usage);
+
+      this.spendChart = new Chart(ctx, {
+        type: 'bar',
+        data: {
+          labels: series.labels,
+          datasets: [
+            {
+              label: 'LLM Spend (USD)',
+              data: series.spend,
+              backgroundColor: 'rgba(245, 101, 101, 0.8)',
+              borderColor: '#f56565',
+              borderWidth: 1
+            },
+            {
+              label: 'Avoided by Cache (USD)',
+              data: series.avoided,
+              backgroundColor: 'rgba(72, 187, 120, 0.8)',
+              borderColor: '#48bb78',
+              borderWidth: 1
+            }
+          ]
+        },
+        options: {
+          responsive: true,
+          maintainAspectRatio: false,
+          plugins: {
+            legend: {
+              labels: {
+                color: '#a0aec0',
+                usePointStyle: true
+              }
+            },
+            tooltip: {
+              mode: 'index',
+              intersect: false,
+              backgroundColor: '#2d3748',
+              titleColor: '#ffffff',
+              bodyColor: '#a0aec0',
+              borderColor: '#4a5568',
+              borderWidth: 1,
+              callbacks: {
+                label: (context) => `${context.dataset.label}: ${this.formatUsd(context.parsed.y)}`
+              }
+            }
+          },
+          scales: {
+            x: {
+              grid: { color: '#2d3748' },
+              ticks: { color: '#a0aec0' }
+            },
+            y: {
+              grid: { color: '#2d3748' },
+              ticks: { color: '#a0aec0' }
+            }
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('[ADMIN] Failed to initialize spend chart:', error);
+      this.showChartError('spendChart', 'Failed to load LLM usage data');
+    }
+  }
+
+  /**
+   * Update spend chart with new time range
+   */
+  async updateSpendChart(days) {
+    if (!this.spendChart) return;
+
+    try {
+      const usage = await this.fetchUsageStats(days);
+      const series = this.spendSeries(usage);
+      this.updateSpendSummary(usage);
+
+      this.spendChart.data.labels = series.labels;
+      this.spendChart.data.datasets[0].data = series.spend;
+      this.spendChart.data.datasets[1].data = series.avoided;
+      this.spendChart.update();
+
+    } catch (error) {
+      console.error('[ADMIN] Failed to update spend chart:', error);
+    }
+  }
+
   /**
    * Update performance chart with new time range
    */
@@ -789,6 +1032,10 @@ class AdminDashboard {
         await this.updatePerformanceChart(days);
       }
       
+      if (this.spendChart) {
+        await this.updateSpendChart(parseInt(document.getElementById('spendTimeRange').value));
+      }
+      
       if (this.usageChart && !this.isChartTypeToggled) {
         this.usageChart.destroy();
         await this.initializeUsageChart();
@@ -908,6 +1155,425 @@ class AdminDashboard {
     }
   }
 
+  /**
+   * Load prompt templates and their versions
+   * `selectName`/`selectVersion` choose what to show afterwards
+   */
+  async loadPromptTemplates(selectName = null, selectVersion = null) {
+    try {
+      const response = await fetch(`${this.baseUrl}/api/admin/prompts`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Unknown error');
+
+      this.promptTemplates = data.templates;
+
+      const nameSelect = document.getElementById('promptTemplateName');
+      const currentName = selectName || nameSelect.value;
+      nameSelect.innerHTML = this.promptTemplates.map(template =>
+        `<option value="${template.name}">${template.name}</option>`
+      ).join('');
+      if (currentName) nameSelect.value = currentName;
+
+      this.renderPromptVersions(selectVersion);
+
+    } catch (error) {
+      console.error('[ADMIN] Failed to load prompt templates:', error);
+      document.getElementById('promptMeta').textContent = `Failed to load prompt templates: ${error.message}`;
+      this.logActivity(`Failed to load prompt templates: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * The template selected in the editor
+   */
+  selectedPromptTemplate() {
+    const name = document.getElementById('promptTemplateName').value;
+    return this.promptTemplates.find(template => template.name === name);
+  }
+
+  /**
+   * Fill the version picker and variable list for the selected template
+   */
+  renderPromptVersions(selectVersion = null) {
+    const template = this.selectedPromptTemplate();
+    if (!template) return;
+
+    const versionSelect = document.getElementById('promptVersion');
+    const versions = template.versions.length > 0 ? template.versions : [{ version: template.active_version, is_active: true, cached_results: 0 }];
+    versionSelect.innerHTML = versions.map(version =>
+      `<option value="${version.version}">v${version.version}${version.is_active ? ' (active)' : ''} - ${this.formatNumber(version.cached_results || 0)} cached</option>`
+    ).join('');
+    versionSelect.value = selectVersion || template.active_version;
+
+    document.getElementById('promptVariables').innerHTML = Object.entries(template.variables).map(([name, description]) =>
+      `<code title="${description.replace(/"/g, '&quot;')}">{{${name}}}</code>`
+    ).join('');
+
+    this.loadPromptVersion();
+  }
+
+  /**
+   * Load the selected version's text into the editor
+   */
+  async loadPromptVersion() {
+    const template = this.selectedPromptTemplate();
+    const version = document.getElementById('promptVersion').value;
+    if (!template || !version) return;
+
+    try {
+      const response = await fetch(`${this.baseUrl}/api/admin/prompts/${template.name}/versions/${version}`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Unknown error');
+
+      document.getElementById('promptEditor').value = data.template.template;
+      document.getElementById('promptDescription').value = '';
+      document.getElementById('promptPreview').classList.add('hidden');
+      document.getElementById('promptMeta').textContent =
+        `${template.description}. Viewing v${data.template.version}${data.template.is_active ? ' (active)' : ''}` +
+        (data.template.description ? ` - ${data.template.description}` : '');
+
+    } catch (error) {
+      console.error('[ADMIN] Failed to load prompt version:', error);
+      this.logActivity(`Failed to load prompt version: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Headers for requests that change server state; they need the admin API key
+   * The key comes from the login redirect (?admin_key=) or is asked for once per browser session
+   */
+  adminHeaders() {
+    if (!this.adminKey) {
+      this.adminKey = new URLSearchParams(window.location.search).get('admin_key') ||
+        sessionStorage.getItem('adminApiKey') ||
+        (window.prompt('Admin API key') || '').trim();
+      sessionStorage.setItem('adminApiKey', this.adminKey);
+    }
+    return { 'Content-Type': 'application/json', 'X-Admin-API-Key': this.adminKey };
+  }
+
+  /**
+   * Drop a rejected admin API key so the next change asks for it again
+   */
+  forgetAdminKey() {
+    this.adminKey = null;
+    sessionStorage.removeItem('adminApiKey');
+  }
+
+  /**
+   * Send a prompt template request and return its JSON, throwing on failure
+   */
+  async promptRequest(path, body = {}) {
+    const response = await fetch(`${this.baseUrl}/api/admin/prompts/${path}`, {
+      method: 'POST',
+      headers: this.adminHeaders(),
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (response.status === 401) this.forgetAdminKey();
+
+    if (!data.success) {
+      const details = Array.isArray(data.details) ? `: ${data.details.join('; ')}` : '';
+      throw new Error((data.error || 'Unknown error') + details);
+    }
+    return data;
+  }
+
+  /**
+   * Render the editor text with sample search input
+   */
+  async previewPrompt() {
+    const template = this.selectedPromptTemplate();
+    const preview = document.getElementById('promptPreview');
+
+    try {
+      const data = await this.promptRequest(`${template.name}/preview`, {
+        template: document.getElementById('promptEditor').value
+      });
+      preview.textContent = data.prompt;
+      preview.classList.remove('hidden');
+    } catch (error) {
+      preview.textContent = `Preview failed: ${error.message}`;
+      preview.classList.remove('hidden');
+    }
+  }
+
+  /**
+   * Save the editor text as a new, inactive version
+   */
+  async savePromptVersion() {
+    const template = this.selectedPromptTemplate();
+
+    try {
+      const data = await this.promptRequest(`${template.name}/versions`, {
+        template: document.getElementById('promptEditor').value,
+        description: document.getElementById('promptDescription').value.trim()
+      });
+      this.logActivity(data.message, 'success');
+      await this.loadPromptTemplates(template.name, data.template.version);
+    } catch (error) {
+      this.logActivity(`Saving prompt failed: ${error.message}`, 'error');
+      alert(`Saving prompt failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Use the selected version for new searches
+   */
+  async activatePromptVersion() {
+    const template = this.selectedPromptTemplate();
+    const version = document.getElementById('promptVersion').value;
+
+    if (!confirm(`Activate ${template.name} v${version}? New searches will use this prompt immediately.`)) return;
+
+    try {
+      const data = await this.promptRequest(`${template.name}/versions/${version}/activate`);
+      this.logActivity(data.message, 'success');
+      await this.loadPromptTemplates(template.name, version);
+    } catch (error) {
+      this.logActivity(`Activating prompt failed: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Drop cached results produced by the selected version
+   */
+  async invalidatePromptVersion() {
+    const template = this.selectedPromptTemplate();
+    const version = document.getElementById('promptVersion').value;
+
+    if (!confirm(`Remove all cached results produced by ${template.name} v${version}? Those searches will call the AI again.`)) return;
+
+    try {
+      const data = await this.promptRequest(`${template.name}/versions/${version}/invalidate`);
+      this.logActivity(data.message, 'success');
+      await this.loadPromptTemplates(template.name, version);
+    } catch (error) {
+      this.logActivity(`Invalidating cached results failed: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Escape dataset and user text before it goes into innerHTML
+   */
+  escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+  }
+
+  /**
+   * Ask the matcher why portals match a query and render each candidate's breakdown
+   */
+  async explainPortalMatch() {
+    const query = document.getElementById('matchQuery').value.trim();
+    const state = document.getElementById('matchState').value.trim();
+    const city = document.getElementById('matchCity').value.trim();
+    const meta = document.getElementById('matchMeta');
+    const results = document.getElementById('matchResults');
+    if (!query) return;
+
+    const profile = document.getElementById('matchProfile').value;
+    const params = new URLSearchParams({ explain: 'true', limit: '10' });
+    if (state) params.set('state', state);
+    if (city) params.set('city', city);
+    if (profile) params.set('profile', profile);
+
+    try {
+      const response = await fetch(`${this.baseUrl}/api/test-portal/${encodeURIComponent(query)}?${params}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Unknown error');
+
+      const unknown = data.unknown_terms.length > 0 ? `, not in the index: ${data.unknown_terms.join(', ')}` : '';
+      const respelled = data.did_you_mean ? ` Did you mean "${data.did_you_mean.text}"?` : '';
+      meta.textContent = `Dataset ${data.dataset_version}, profile ${data.ranking_profile}. Query terms: ${data.query_terms.join(', ') || 'none'}${unknown}. ` +
+        `${data.total_matches} matches (index hits need relevance ${data.min_relevance}). Best: ${data.best_match.portal_name}.${respelled}`;
+
+      results.innerHTML = data.matches.map(match => {
+        const components = match.components.map(part =>
+          `<code>${part.name}</code> ${part.value} &times; ${part.weight} = ${part.contribution}` +
+          (part.detail ? ` (${this.escapeHtml(part.detail)})` : '')
+        ).join('<br>');
+        const corrected = (match.corrected_terms || []).map(term =>
+          `<br>Respelled <code>${this.escapeHtml(term.from)}</code> &rarr; <code>${this.escapeHtml(term.to)}</code> (${term.reason})`
+        ).join('');
+        const terms = match.bm25
+          ? `<br>BM25 ${match.bm25.score}: ` + match.bm25.terms.map(term =>
+            `<code>${this.escapeHtml(term.term)}</code> idf ${term.idf}, in ${Object.entries(term.fields).map(([field, count]) => `${field}&times;${count}`).join(' ')} &rarr; ${term.score}`
+          ).join('; ')
+          : '';
+
+        return `
+          <div class="match-result">
+            <div class="match-result-header">
+              <a href="${this.escapeHtml(match.portal_link)}" target="_blank" rel="noopener">${this.escapeHtml(match.portal_name)}</a>
+              <span class="match-pass">${match.pass} &middot; ${match.relevance_score}</span>
+            </div>
+            <div class="match-detail">
+              ${this.escapeHtml(match.administrative_level)} &middot; ${this.escapeHtml(match.portal_type)}${match.portal_state ? ` &middot; ${this.escapeHtml(match.portal_state)}` : ''}${match.portal_city ? ` &middot; ${this.escapeHtml(match.portal_city)}` : ''}<br>
+              ${components}${corrected}${terms}
+            </div>
+          </div>
+        `;
+      }).join('');
+
+    } catch (error) {
+      meta.textContent = `Explain failed: ${error.message}`;
+      results.innerHTML = '';
+      this.logActivity(`Portal match explain failed: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Rank the explorer's query under every profile side by side
+   */
+  async compareRankingProfiles() {
+    const query = document.getElementById('matchQuery').value.trim();
+    const meta = document.getElementById('matchMeta');
+    const results = document.getElementById('matchResults');
+    if (!query) return;
+
+    const params = new URLSearchParams({ query, limit: '5' });
+    const state = document.getElementById('matchState').value.trim();
+    const city = document.getElementById('matchCity').value.trim();
+    if (state) params.set('state', state);
+    if (city) params.set('city', city);
+
+    try {
+      const response = await fetch(`${this.baseUrl}/api/admin/ranking/compare?${params}`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Unknown error');
+
+      meta.textContent = `Top matches for "${data.query}" in ${data.city ? `${data.city}, ` : ''}${data.state || 'all of India'} under each ranking profile`;
+      results.innerHTML = `
+        <div class="match-compare">
+          ${Object.entries(data.rankings).map(([name, matches]) => `
+            <div class="match-result">
+              <strong>${this.escapeHtml(name)}</strong>
+              <ol class="match-detail">
+                ${matches.map(match => `<li>${this.escapeHtml(match.portal_name)} (${match.relevance_score})</li>`).join('') || '<li>No matches</li>'}
+              </ol>
+            </div>
+          `).join('')}
+        </div>
+      `;
+
+    } catch (error) {
+      meta.textContent = `Compare failed: ${error.message}`;
+      results.innerHTML = '';
+      this.logActivity(`Ranking profile comparison failed: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Load the ranking profile list into the editor and explorer pickers
+   * `selectName` chooses the profile to show afterwards
+   */
+  async loadRankingProfiles(selectName = null) {
+    try {
+      const response = await fetch(`${this.baseUrl}/api/admin/ranking`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Unknown error');
+
+      this.rankingProfiles = data.profiles;
+      const options = this.rankingProfiles.map(profile =>
+        `<option value="${this.escapeHtml(profile.name)}">${this.escapeHtml(profile.name)}${profile.active ? ' (active)' : ''}</option>`
+      ).join('');
+
+      const nameSelect = document.getElementById('rankingProfileName');
+      const currentName = selectName || nameSelect.value || data.active_profile;
+      nameSelect.innerHTML = options;
+      nameSelect.value = currentName;
+
+      const matchProfile = document.getElementById('matchProfile');
+      const currentMatchProfile = matchProfile.value;
+      matchProfile.innerHTML = `<option value="">Active profile</option>${options}`;
+      matchProfile.value = currentMatchProfile;
+
+      await this.loadRankingProfile();
+
+    } catch (error) {
+      console.error('[ADMIN] Failed to load ranking profiles:', error);
+      document.getElementById('rankingMeta').textContent = `Failed to load ranking profiles: ${error.message}`;
+      this.logActivity(`Failed to load ranking profiles: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Show the selected profile's definition as editable JSON
+   */
+  async loadRankingProfile() {
+    const name = document.getElementById('rankingProfileName').value;
+    if (!name) return;
+
+    try {
+      const response = await fetch(`${this.baseUrl}/api/admin/ranking/${encodeURIComponent(name)}`);
+      const data = await response.json();
+      if (!data.success) throw new Error(data.error || 'Unknown error');
+
+      const { name: profileName, ...profile } = data.profile;
+      document.getElementById('rankingEditor').value = JSON.stringify(profile, null, 2);
+      document.getElementById('rankingNewName').value = '';
+      document.getElementById('rankingMeta').textContent =
+        `${profileName}${data.active ? ' (active)' : ''}${profile.description ? ` - ${profile.description}` : ''}`;
+
+    } catch (error) {
+      console.error('[ADMIN] Failed to load ranking profile:', error);
+      this.logActivity(`Failed to load ranking profile: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Send a ranking profile request and return its JSON, throwing on failure
+   */
+  async rankingRequest(path, body = {}) {
+    const response = await fetch(`${this.baseUrl}/api/admin/ranking/${path}`, {
+      method: 'POST',
+      headers: this.adminHeaders(),
+      body: JSON.stringify(body)
+    });
+    const data = await response.json();
+    if (response.status === 401) this.forgetAdminKey();
+
+    if (!data.success) {
+      const details = Array.isArray(data.details) ? `: ${data.details.join('; ')}` : '';
+      throw new Error((data.error || 'Unknown error') + details);
+    }
+    return data;
+  }
+
+  /**
+   * Save the editor JSON over the selected profile, or as a new profile when a name is given
+   */
+  async saveRankingProfile() {
+    const name = document.getElementById('rankingNewName').value.trim() || document.getElementById('rankingProfileName').value;
+
+    try {
+      const profile = JSON.parse(document.getElementById('rankingEditor').value);
+      const data = await this.rankingRequest(encodeURIComponent(name), { profile });
+      this.logActivity(data.message, 'success');
+      await this.loadRankingProfiles(name);
+    } catch (error) {
+      this.logActivity(`Saving ranking profile failed: ${error.message}`, 'error');
+      alert(`Saving ranking profile failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rank every search with the selected profile
+   */
+  async activateRankingProfile() {
+    const name = document.getElementById('rankingProfileName').value;
+
+    if (!confirm(`Activate ranking profile ${name}? New searches will be ranked with it immediately.`)) return;
+
+    try {
+      const data = await this.rankingRequest(`${encodeURIComponent(name)}/activate`);
+      this.logActivity(data.message, 'success');
+      await this.loadRankingProfiles(name);
+    } catch (error) {
+      this.logActivity(`Activating ranking profile failed: ${error.message}`, 'error');
+    }
+  }
+
   /**
    * Export statistics to JSON file
    */
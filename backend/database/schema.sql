@@ -7,14 +7,17 @@ CREATE TABLE IF NOT EXISTS search_cache (
     query_hash TEXT NOT NULL UNIQUE,  -- MD5 hash of normalized query
     original_query TEXT NOT NULL,     -- Original user query for debugging
     normalized_query TEXT NOT NULL,   -- Normalized query for matching
-    state TEXT NOT NULL,              -- State parameter
-    city TEXT NOT NULL,               -- City parameter
+    state TEXT NOT NULL,              -- State parameter ('' for national searches)
+    city TEXT NOT NULL,               -- City parameter ('' for state or national searches)
     search_results TEXT NOT NULL,     -- JSON string of search results
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     expires_at DATETIME NOT NULL,     -- Cache expiration time
     hit_count INTEGER DEFAULT 1,      -- Number of times this cache was used
-    last_accessed DATETIME DEFAULT CURRENT_TIMESTAMP
+    last_accessed DATETIME DEFAULT CURRENT_TIMESTAMP,
+    quality TEXT NOT NULL DEFAULT 'api', -- api, repaired, fallback or error (negative cache)
+    prompt_version TEXT,              -- Prompt template version that produced the result, e.g. search@2
+    dataset_version TEXT              -- Hash of the portal dataset the result's links came from
 );
 
 -- Create index on query_hash for fast lookups
@@ -38,6 +41,7 @@ CREATE TABLE IF NOT EXISTS cache_stats (
     cache_misses INTEGER DEFAULT 0,
     api_calls_saved INTEGER DEFAULT 0,
     avg_response_time_ms REAL DEFAULT 0,
+    coalesced_requests INTEGER DEFAULT 0, -- Misses served by another request's in-flight upstream call
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
@@ -63,6 +67,14 @@ CREATE INDEX IF NOT EXISTS idx_search_count ON popular_queries(search_count DESC
 -- Create index on last_searched for recent activity
 CREATE INDEX IF NOT EXISTS idx_last_searched ON popular_queries(last_searched DESC);
 
+-- Create popular_query_searchers table so typeahead counts distinct searchers, not searches
+CREATE TABLE IF NOT EXISTS popular_query_searchers (
+    normalized_query TEXT NOT NULL,
+    searcher TEXT NOT NULL,           -- Salted hash of the client address, never the address itself
+    first_searched DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (normalized_query, searcher)
+);
+
 -- Create query_synonyms table for better cache hit rates
 CREATE TABLE IF NOT EXISTS query_synonyms (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -79,6 +91,95 @@ CREATE INDEX IF NOT EXISTS idx_synonym_query ON query_synonyms(synonym_query);
 -- Create index on base_query
 CREATE INDEX IF NOT EXISTS idx_base_query ON query_synonyms(base_query);
 
+-- Create query_translations table to keep original-language queries for analytics
+CREATE TABLE IF NOT EXISTS query_translations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    original_query TEXT NOT NULL UNIQUE, -- Query as the user typed it
+    language TEXT NOT NULL,              -- Detected language (hi, ta, hi-Latn for transliterated Hindi, ...)
+    canonical_query TEXT NOT NULL,       -- English form used for matching and caching
+    method TEXT NOT NULL,                -- lexicon or llm
+    search_count INTEGER DEFAULT 1,
+    last_searched DATETIME DEFAULT CURRENT_TIMESTAMP,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create index on language for per-language analytics
+CREATE INDEX IF NOT EXISTS idx_translation_language ON query_translations(language);
+
+-- Create search_sessions table for conversational follow-up searches
+CREATE TABLE IF NOT EXISTS search_sessions (
+    id TEXT PRIMARY KEY,              -- Random session id returned to the client
+    original_query TEXT NOT NULL,     -- Query that opened the session
+    state TEXT NOT NULL,              -- '' when the search had no state
+    city TEXT NOT NULL,               -- '' when the search had no city
+    context TEXT NOT NULL,            -- JSON: query, location, matched portals and services
+    turns TEXT NOT NULL DEFAULT '[]', -- JSON array of follow-up questions and their services
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at DATETIME NOT NULL      -- Slides forward on every follow-up
+);
+
+-- Create index on expires_at for session cleanup
+CREATE INDEX IF NOT EXISTS idx_session_expires_at ON search_sessions(expires_at);
+
+-- Create prompt_templates table for admin-managed, versioned LLM prompts
+CREATE TABLE IF NOT EXISTS prompt_templates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,               -- Template name (search, follow_up)
+    version INTEGER NOT NULL,         -- Increments on every edit; versions are never modified
+    template TEXT NOT NULL,           -- Prompt text with {{variable}} placeholders
+    description TEXT DEFAULT '',      -- What changed in this version
+    is_active BOOLEAN DEFAULT 0,      -- One active version per name
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    activated_at DATETIME,
+    UNIQUE(name, version)
+);
+
+-- Create ranking_profiles table for admin-edited portal ranking profiles
+-- Rows override the shipped profile of the same name in data/ranking_profiles.json
+CREATE TABLE IF NOT EXISTS ranking_profiles (
+    name TEXT PRIMARY KEY,            -- Profile name
+    definition TEXT NOT NULL,         -- JSON profile: weights, boosted_terms, affinities, verification
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create ranking_settings table for the admin's choice of active ranking profile
+CREATE TABLE IF NOT EXISTS ranking_settings (
+    key TEXT PRIMARY KEY,             -- Setting name (active_profile)
+    value TEXT NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create llm_usage table to record tokens and estimated cost of every LLM call
+CREATE TABLE IF NOT EXISTS llm_usage (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    provider TEXT,                    -- LLM provider name (openrouter, openai, ollama, fixture)
+    model TEXT,                       -- Model that answered
+    purpose TEXT NOT NULL,            -- search, stream, follow_up, correction or translation
+    prompt_tokens INTEGER DEFAULT 0,
+    completion_tokens INTEGER DEFAULT 0,
+    cost_usd REAL DEFAULT 0,          -- Estimated from configured per-token prices
+    estimated BOOLEAN DEFAULT 0       -- Token counts estimated because the provider reported none
+);
+
+-- Create index on created_at for retention cleanup and per-purpose reports
+CREATE INDEX IF NOT EXISTS idx_llm_usage_created_at ON llm_usage(created_at);
+
+-- Create llm_usage_stats table to roll LLM usage up per day, alongside cache_stats
+CREATE TABLE IF NOT EXISTS llm_usage_stats (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    date DATE NOT NULL UNIQUE,
+    requests INTEGER DEFAULT 0,
+    prompt_tokens INTEGER DEFAULT 0,
+    completion_tokens INTEGER DEFAULT 0,
+    cost_usd REAL DEFAULT 0,
+    estimated_requests INTEGER DEFAULT 0, -- Requests whose token counts were estimated
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Insert some common query synonyms to improve cache hit rates
 INSERT OR IGNORE INTO query_synonyms (base_query, synonym_query, confidence_score) VALUES
 -- Passport related synonyms
@@ -140,6 +241,14 @@ BEGIN
     UPDATE cache_stats SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
 END;
 
+-- Create trigger to update updated_at timestamp on llm_usage_stats updates
+CREATE TRIGGER IF NOT EXISTS update_llm_usage_stats_timestamp 
+    AFTER UPDATE ON llm_usage_stats
+    FOR EACH ROW
+BEGIN
+    UPDATE llm_usage_stats SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+END;
+
 -- Create trigger to update updated_at timestamp on popular_queries updates
 CREATE TRIGGER IF NOT EXISTS update_popular_queries_timestamp 
     AFTER UPDATE ON popular_queries
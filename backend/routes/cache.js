@@ -1,6 +1,17 @@
 const express = require('express');
 const router = express.Router();
 const cacheService = require('../services/CacheService');
+const llm = require('../services/llm');
+const responseValidator = require('../services/ResponseValidator');
+const upstreamHealth = require('../services/UpstreamHealth');
+const sessionService = require('../services/SessionService');
+const singleFlight = require('../services/SingleFlight');
+const circuitBreaker = require('../services/CircuitBreaker');
+const usageService = require('../services/UsageService');
+const outputGuardrails = require('../services/OutputGuardrails');
+const promptGuard = require('../services/PromptGuard');
+const intentClassifier = require('../services/IntentClassifier');
+const portalMatcher = require('../services/portalMatcher');
 
 /**
  * Cache Management Routes
@@ -16,6 +27,11 @@ router.get('/stats', async (req, res) => {
     res.json({
       success: true,
       cache_statistics: stats,
+      llm_response_repairs: responseValidator.getStats(),
+      output_guardrails: outputGuardrails.getStats(),
+      prompt_guard: promptGuard.getStats(),
+      intent_classifier: intentClassifier.getStats(),
+      portal_dataset: portalMatcher.getDatasetInfo(),
       request_timestamp: new Date().toISOString()
     });
     
@@ -29,6 +45,28 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+// Get LLM token usage, estimated spend and the spend avoided by the cache
+router.get('/usage', async (req, res) => {
+  try {
+    const days = parseInt(req.query.days) || 30;
+    const usage = await usageService.getUsageStats(days);
+
+    res.json({
+      success: true,
+      llm_usage: usage,
+      request_timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('[Cache Admin] Error getting LLM usage:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve LLM usage',
+      details: error.message
+    });
+  }
+});
+
 // Get popular queries and search patterns
 router.get('/popular-queries', async (req, res) => {
   try {
@@ -52,6 +90,28 @@ router.get('/popular-queries', async (req, res) => {
   }
 });
 
+// Get searches by query language, with original-language queries and their translations
+router.get('/languages', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 20;
+    const languageStats = await cacheService.getLanguageStats(limit);
+    
+    res.json({
+      success: true,
+      ...languageStats,
+      request_timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    console.error('[Cache Admin] Error getting language stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve language statistics',
+      details: error.message
+    });
+  }
+});
+
 // Clear expired cache entries manually
 router.post('/clear-expired', async (req, res) => {
   try {
@@ -126,6 +186,13 @@ router.get('/health', async (req, res) => {
       memory_cache_size: stats.summary ? stats.summary.memory_cache_size : 0,
       last_24h_requests: stats.summary ? stats.summary.total_requests : 0,
       hit_rate_24h: stats.summary ? stats.summary.hit_rate : '0.00',
+      quality_counts: stats.summary ? stats.summary.quality_counts : null,
+      upstream: upstreamHealth.getStatus(),
+      circuit_breaker: circuitBreaker.getStatus(),
+      llm_budget: usageService.getBudgetStatus(),
+      active_sessions: await sessionService.countActiveSessions(),
+      single_flight: singleFlight.getStatus(),
+      dataset_version: portalMatcher.version,
       timestamp: new Date().toISOString()
     };
     
@@ -234,7 +301,11 @@ router.get('/config', (req, res) => {
       memory_cleanup_interval_minutes: 10,
       database_path: '../database/cache.db',
       query_normalization_enabled: true,
-      synonym_matching_enabled: true
+      synonym_matching_enabled: true,
+      quality_expiration_minutes: Object.fromEntries(
+        Object.entries(cacheService.qualityExpiration).map(([quality, ms]) => [quality, ms / 60000])
+      ),
+      llm_provider: llm.getProvider().describe()
     };
     
     res.json({
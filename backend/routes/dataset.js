@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const cacheService = require('../services/CacheService');
+const portalMatcher = require('../services/portalMatcher');
+const { requireAdminAuth } = require('../middleware/adminAuth');
+
+/**
+ * Portal Dataset Routes
+ * Admin endpoints for reloading the curated portal dataset and clearing
+ * cached results built from older versions of it; both need the admin API key
+ */
+
+// Invalidation needs the cache database
+function requireDatabase(req, res, next) {
+  if (!cacheService.isInitialized) {
+    return res.status(503).json({
+      success: false,
+      error: 'Cached results cannot be invalidated while the cache database is unavailable'
+    });
+  }
+  next();
+}
+
+// Dataset version in use and how many cached results each dataset version produced
+router.get('/', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      dataset: portalMatcher.getDatasetInfo(),
+      cached_results: await cacheService.getDatasetVersionCounts(),
+      request_timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('[Dataset Admin] Error getting dataset info:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve dataset information',
+      details: error.message
+    });
+  }
+});
+
+// Re-read the dataset file now instead of waiting for the watcher
+// An invalid file is rejected and the current dataset stays in use
+router.post('/reload', requireAdminAuth, (req, res) => {
+  try {
+    const outcome = portalMatcher.reload();
+    if (outcome.errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid portal dataset',
+        details: outcome.errors,
+        dataset_version: outcome.version
+      });
+    }
+
+    res.json({
+      success: true,
+      message: outcome.changed
+        ? `Loaded dataset ${outcome.version} (was ${outcome.previous_version})`
+        : `Dataset ${outcome.version} is unchanged`,
+      changed: outcome.changed,
+      dataset_version: outcome.version,
+      previous_version: outcome.previous_version || null
+    });
+
+  } catch (error) {
+    console.error('[Dataset Admin] Error reloading dataset:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reload portal dataset',
+      details: error.message
+    });
+  }
+});
+
+// Delete cached results built from an old dataset so those searches are answered again
+// Send { version } to remove one version; without it, everything not built from the current dataset goes
+router.post('/invalidate', requireAdminAuth, requireDatabase, async (req, res) => {
+  try {
+    const { version } = req.body || {};
+    if (version !== undefined && (typeof version !== 'string' || !version.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'version must be a dataset version string'
+      });
+    }
+
+    const deletedCount = await cacheService.invalidateDatasetVersion(
+      version ? { version: version.trim() } : { exceptVersion: portalMatcher.version }
+    );
+
+    res.json({
+      success: true,
+      message: version
+        ? `Removed ${deletedCount} cached results built from dataset ${version.trim()}`
+        : `Removed ${deletedCount} cached results not built from dataset ${portalMatcher.version}`,
+      dataset_version: portalMatcher.version,
+      deleted_entries: deletedCount
+    });
+
+  } catch (error) {
+    console.error('[Dataset Admin] Error invalidating cache by dataset version:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to invalidate cached results',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
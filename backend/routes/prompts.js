@@ -0,0 +1,266 @@
+const express = require('express');
+const router = express.Router();
+const cacheService = require('../services/CacheService');
+const promptTemplates = require('../services/PromptTemplateService');
+const sessionService = require('../services/SessionService');
+const portalMatcher = require('../services/portalMatcher');
+const searchScope = require('../services/SearchScope');
+const { requireAdminAuth } = require('../middleware/adminAuth');
+
+/**
+ * Prompt Template Routes
+ * Admin endpoints for viewing, editing, previewing and activating LLM prompt templates
+ * Saving and activating versions change what the model is told, so they (and invalidation) need the admin API key
+ */
+
+// Sample input used for previews when none is given
+const PREVIEW_DEFAULTS = {
+  query: 'passport application',
+  state: 'Maharashtra',
+  city: 'Pune',
+  question: 'What documents do I need for tatkal?'
+};
+
+// Reject unknown template names before any handler runs
+router.param('name', (req, res, next, name) => {
+  if (!promptTemplates.isKnown(name)) {
+    return res.status(404).json({
+      success: false,
+      error: `Unknown prompt template: ${name}`
+    });
+  }
+  next();
+});
+
+// Versions are stored in the cache database, so changes need it to be up
+function requireDatabase(req, res, next) {
+  if (!promptTemplates.isAvailable()) {
+    return res.status(503).json({
+      success: false,
+      error: 'Prompt templates cannot be changed while the cache database is unavailable'
+    });
+  }
+  next();
+}
+
+// Template variables for a preview, built the same way as for real searches
+function previewVariables(name, input) {
+  const { query, question, response_language } = { ...PREVIEW_DEFAULTS, ...input };
+  // The sample location is only used when no location fields are sent at all
+  const sample = input.state === undefined && input.city === undefined ? PREVIEW_DEFAULTS : input;
+  const location = searchScope.resolve({ scope: input.scope, state: sample.state, city: sample.city });
+  if (location.error) {
+    const error = new Error(location.error);
+    error.status = 400;
+    throw error;
+  }
+
+  const { state, city } = location;
+  const portal = portalMatcher.getBestPortal(query, state, city);
+  const responseLanguage = response_language || 'en';
+
+  if (name === 'follow_up') {
+    const session = {
+      context: { query, state, city, response_language: responseLanguage, portals: [portal], services: [] },
+      turns: []
+    };
+    return promptTemplates.followUpVariables({
+      context: session.context,
+      question: question,
+      conversation: sessionService.buildContext(session),
+      portal: portal
+    });
+  }
+
+  return promptTemplates.searchVariables({ query, state, city, responseLanguage, portal });
+}
+
+// List templates with their versions and how many cached results each version produced
+router.get('/', async (req, res) => {
+  try {
+    const cachedCounts = await cacheService.getPromptVersionCounts();
+    const templates = await promptTemplates.listTemplates(cachedCounts);
+
+    res.json({
+      success: true,
+      templates: templates,
+      request_timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('[Prompt Admin] Error listing templates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list prompt templates',
+      details: error.message
+    });
+  }
+});
+
+// Get the full text of one version
+router.get('/:name/versions/:version', async (req, res) => {
+  try {
+    const template = await promptTemplates.getVersion(req.params.name, parseInt(req.params.version));
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        error: `Version ${req.params.version} of ${req.params.name} not found`
+      });
+    }
+
+    res.json({ success: true, template: template });
+
+  } catch (error) {
+    console.error('[Prompt Admin] Error loading template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load prompt template',
+      details: error.message
+    });
+  }
+});
+
+// Save an edited template as a new version
+// Send { template, description, activate } - the version is only used once activated
+router.post('/:name/versions', requireAdminAuth, requireDatabase, async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { template, description, activate } = req.body;
+
+    const errors = promptTemplates.validate(name, template);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid prompt template',
+        details: errors
+      });
+    }
+
+    const saved = await promptTemplates.createVersion(name, template, description);
+    if (activate) {
+      await promptTemplates.activate(name, saved.version);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Saved ${name} version ${saved.version}${activate ? ' and activated it' : ''}`,
+      template: await promptTemplates.getVersion(name, saved.version)
+    });
+
+  } catch (error) {
+    console.error('[Prompt Admin] Error saving template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save prompt template',
+      details: error.message
+    });
+  }
+});
+
+// Make a version the one used for new searches
+router.post('/:name/versions/:version/activate', requireAdminAuth, requireDatabase, async (req, res) => {
+  try {
+    const { name } = req.params;
+    const version = parseInt(req.params.version);
+
+    if (!(await promptTemplates.activate(name, version))) {
+      return res.status(404).json({
+        success: false,
+        error: `Version ${req.params.version} of ${name} not found`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Activated ${name} version ${version}`,
+      active_version: version
+    });
+
+  } catch (error) {
+    console.error('[Prompt Admin] Error activating template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to activate prompt template',
+      details: error.message
+    });
+  }
+});
+
+// Delete every cached result produced by a version, so those searches are answered again
+router.post('/:name/versions/:version/invalidate', requireAdminAuth, requireDatabase, async (req, res) => {
+  try {
+    const label = promptTemplates.versionLabel(req.params.name, parseInt(req.params.version));
+    const deletedCount = await cacheService.invalidatePromptVersion(label);
+
+    res.json({
+      success: true,
+      message: `Removed ${deletedCount} cached results produced by ${label}`,
+      prompt_version: label,
+      deleted_entries: deletedCount
+    });
+
+  } catch (error) {
+    console.error('[Prompt Admin] Error invalidating cache by prompt version:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to invalidate cached results',
+      details: error.message
+    });
+  }
+});
+
+// Render a template without calling the LLM
+// Send { template } to preview unsaved text or { version } for a saved one (default: active),
+// plus optional sample input: query, state, city, scope, response_language, question
+router.post('/:name/preview', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const input = req.body || {};
+    let template = input.template;
+    let version = null;
+
+    if (template !== undefined) {
+      const errors = promptTemplates.validate(name, template);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid prompt template',
+          details: errors
+        });
+      }
+    } else {
+      version = parseInt(input.version) || promptTemplates.activeVersion(name);
+      const saved = await promptTemplates.getVersion(name, version);
+      if (!saved) {
+        return res.status(404).json({
+          success: false,
+          error: `Version ${version} of ${name} not found`
+        });
+      }
+      template = saved.template;
+    }
+
+    const variables = previewVariables(name, input);
+
+    res.json({
+      success: true,
+      version: version,
+      variables: variables,
+      prompt: promptTemplates.fill(template, variables)
+    });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error('[Prompt Admin] Error previewing template:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to preview prompt template',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
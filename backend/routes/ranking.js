@@ -0,0 +1,160 @@
+const express = require('express');
+const router = express.Router();
+const rankingProfiles = require('../services/RankingProfileService');
+const portalMatcher = require('../services/portalMatcher');
+const locationResolver = require('../services/LocationResolver');
+const { requireAdminAuth } = require('../middleware/adminAuth');
+
+/**
+ * Ranking Profile Routes
+ * Admin endpoints for viewing, editing, activating and comparing portal ranking profiles
+ * Saving and activating change how every search is ranked, so they need the admin API key
+ */
+
+const COMPARE_DEFAULT_LIMIT = 5;
+const COMPARE_MAX_LIMIT = 20;
+
+// Edits are stored in the cache database, so changes need it to be up
+function requireDatabase(req, res, next) {
+  if (!rankingProfiles.isAvailable()) {
+    return res.status(503).json({
+      success: false,
+      error: 'Ranking profiles cannot be changed while the cache database is unavailable'
+    });
+  }
+  next();
+}
+
+// List profiles and which one searches use
+router.get('/', (req, res) => {
+  res.json({
+    success: true,
+    active_profile: rankingProfiles.resolve().name,
+    profiles: rankingProfiles.list(),
+    request_timestamp: new Date().toISOString()
+  });
+});
+
+// Rank one query under several profiles side by side
+// ?query=&state=&city=&profiles=standard,local_first (default: every profile)&limit=
+router.get('/compare', (req, res) => {
+  try {
+    const query = typeof req.query.query === 'string' ? req.query.query.trim() : '';
+    if (!query) {
+      return res.status(400).json({ success: false, error: 'Missing required parameter: query' });
+    }
+
+    const names = req.query.profiles
+      ? String(req.query.profiles).split(',').map(name => name.trim()).filter(Boolean)
+      : rankingProfiles.list().map(profile => profile.name);
+    const unknown = names.filter(name => !rankingProfiles.get(name));
+    if (unknown.length > 0) {
+      return res.status(404).json({ success: false, error: `Unknown ranking profile: ${unknown.join(', ')}` });
+    }
+
+    const place = locationResolver.resolve({ state: req.query.state || null, city: req.query.city || null });
+    if (place.error) {
+      return res.status(400).json({ success: false, error: place.error, details: place.suggestions });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || COMPARE_DEFAULT_LIMIT, 1), COMPARE_MAX_LIMIT);
+    const rankings = Object.fromEntries(names.map(name => [
+      name,
+      portalMatcher.findMatchingPortals(query, place.state, place.city, { profile: name })
+        .slice(0, limit)
+        .map((match, index) => ({
+          rank: index + 1,
+          portal_name: match.name,
+          portal_link: match.url,
+          administrative_level: portalMatcher.administrativeLevel(match),
+          relevance_score: match.relevanceScore
+        }))
+    ]));
+
+    res.json({
+      success: true,
+      query: query,
+      state: place.state,
+      city: place.city,
+      rankings: rankings
+    });
+
+  } catch (error) {
+    console.error('[Ranking Admin] Error comparing profiles:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare ranking profiles',
+      details: error.message
+    });
+  }
+});
+
+// Get the full definition of one profile
+router.get('/:name', (req, res) => {
+  const profile = rankingProfiles.get(req.params.name);
+  if (!profile) {
+    return res.status(404).json({ success: false, error: `Unknown ranking profile: ${req.params.name}` });
+  }
+  res.json({ success: true, profile: profile, active: profile.name === rankingProfiles.resolve().name });
+});
+
+// Create or replace a profile
+// Send { profile, activate } - an invalid definition returns 400 with the problems in `details`
+router.post('/:name', requireAdminAuth, requireDatabase, async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { profile, activate } = req.body || {};
+    const existed = Boolean(rankingProfiles.get(name));
+
+    const saved = await rankingProfiles.save(name, profile);
+    if (saved.errors) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid ranking profile',
+        details: saved.errors
+      });
+    }
+    if (activate) {
+      await rankingProfiles.activate(name);
+    }
+
+    res.status(existed ? 200 : 201).json({
+      success: true,
+      message: `${existed ? 'Updated' : 'Created'} ranking profile ${name}${activate ? ' and activated it' : ''}`,
+      profile: saved.profile
+    });
+
+  } catch (error) {
+    console.error('[Ranking Admin] Error saving profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save ranking profile',
+      details: error.message
+    });
+  }
+});
+
+// Rank every search with this profile from now on
+router.post('/:name/activate', requireAdminAuth, requireDatabase, async (req, res) => {
+  try {
+    if (!(await rankingProfiles.activate(req.params.name))) {
+      return res.status(404).json({ success: false, error: `Unknown ranking profile: ${req.params.name}` });
+    }
+
+    res.json({
+      success: true,
+      message: `Activated ranking profile ${req.params.name}`,
+      active_profile: req.params.name
+    });
+
+  } catch (error) {
+    console.error('[Ranking Admin] Error activating profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to activate ranking profile',
+      details: error.message
+    });
+  }
+});
+
+module.exports = router;
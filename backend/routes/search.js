@@ -2,170 +2,973 @@ const express = require("express");
 const router = express.Router();
 const portalMatcher = require('../services/portalMatcher');
 const cacheService = require('../services/CacheService');
+const llm = require('../services/llm');
+const ServiceStreamParser = require('../services/ServiceStreamParser');
+const responseValidator = require('../services/ResponseValidator');
+const upstreamHealth = require('../services/UpstreamHealth');
+const sessionService = require('../services/SessionService');
+const queryTranslator = require('../services/QueryTranslator');
+const singleFlight = require('../services/SingleFlight');
+const searchScope = require('../services/SearchScope');
+const locationResolver = require('../services/LocationResolver');
+const promptTemplates = require('../services/PromptTemplateService');
+const usageService = require('../services/UsageService');
+const outputGuardrails = require('../services/OutputGuardrails');
+const promptGuard = require('../services/PromptGuard');
+const intentClassifier = require('../services/IntentClassifier');
+const suggestService = require('../services/SuggestService');
+const rankingProfiles = require('../services/RankingProfileService');
+const { callUpstream } = require('../services/llm/upstream');
+const { parseCsv, toCsv } = require('../services/csv');
 
-// Node.js v18+ has native fetch support
+// Ranked portal links shown on each service card (primary plus alternatives)
+const PORTALS_PER_SERVICE = parseInt(process.env.PORTALS_PER_SERVICE) || 3;
+
+// Batch search limits: items per request and cache misses searched at once
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS) || 50;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 3;
+
+// Column order for CSV batch results
+const BATCH_CSV_COLUMNS = [
+  'item', 'id', 'query', 'scope', 'state', 'city', 'status', 'error', 'intent', 'cached',
+  'service_title', 'description', 'documents', 'timeline', 'fees',
+  'office', 'location', 'contact', 'portal_name', 'portal_link', 'portal_level'
+];
+
+// Build the LLM prompt for a search from the active `search` template
+// Returns { prompt, version }; `translation` carries the user's original wording when the query was translated
+function buildSearchPrompt(query, state, city, translation = null, responseLanguage = 'en', portalInfo = null) {
+  return promptTemplates.render('search', promptTemplates.searchVariables({
+    query, state, city, translation, responseLanguage, portal: portalInfo
+  }));
+}
+
+// Build the LLM prompt for a follow-up question within a session
+function buildFollowUpPrompt(session, question, portalInfo = null) {
+  return promptTemplates.render('follow_up', promptTemplates.followUpVariables({
+    context: session.context,
+    question: question,
+    conversation: sessionService.buildContext(session),
+    portal: portalInfo
+  }));
+}
+
+// Enhance an AI service with accurate portal information from our dataset
+// Each service is matched on its own content; the query-level portal is the fallback
+function attachPortalInfo(service, portalInfo, state, city) {
+  const { portals, confidence } = portalMatcher.getServicePortals(service, state, city, PORTALS_PER_SERVICE, portalInfo);
+  const primary = portals[0] || portalInfo;
+
+  return {
+    ...service,
+    portal_link: primary.portal_link,
+    portal_description: primary.portal_description,
+    portal_name: primary.portal_name,
+    portal_level: primary.administrative_level,
+    portal_links: portals,
+    portal_confidence: confidence
+  };
+}
+
+// Attach portal info to a model-generated service, then strip unlisted links and tag provenance
+function enhanceService(service, portalInfo, state, city) {
+  return outputGuardrails.check(attachPortalInfo(service, portalInfo, state, city));
+}
+
+// Generic result used when the AI response cannot be used
+function buildFallbackResult(query, state, city, portalInfo) {
+  return {
+    services: [
+      attachPortalInfo({
+        title: "Service Information Available",
+        description: `For "${query}" in ${searchScope.label(state, city)}`,
+        office: city ? "Local Government Office" : "Government Department",
+        location: searchScope.label(state, city),
+        documents: ["Identity Proof", "Address Proof"],
+        timeline: "Varies by service",
+        fees: "As applicable",
+        contact: "Visit local office for details",
+        procedure: "Contact the relevant department for specific procedures",
+        category: "General Services"
+      }, portalInfo, state, city)
+    ]
+  };
+}
+
+// One service card per matched portal, described from the dataset
+function portalCards(portals) {
+  return portals.map(portal => ({
+    title: portal.portal_name,
+    description: portal.portal_description,
+    category: "Government Portal",
+    portal_link: portal.portal_link,
+    portal_name: portal.portal_name,
+    portal_description: portal.portal_description,
+    portal_level: portal.administrative_level,
+    portal_links: [portal],
+    portal_confidence: Math.min(portal.relevance_score || 0, 1)
+  }));
+}
+
+// Portal-only result from our dataset, used while LLM calls are refused
+// `refusal` is the circuit-open or budget-exceeded error that stopped the call
+function buildPortalOnlyResult(query, state, city, refusal) {
+  let portals = portalMatcher.getRelevantPortals(query, state, city, PORTALS_PER_SERVICE);
+  if (portals.length === 0) {
+    portals = [{ ...portalMatcher.getBestPortal(query, state, city), relevance_score: 0 }];
+  }
+
+  return {
+    services: portalCards(portals),
+    degraded: true,
+    degraded_reason: refusal.budgetExceeded ? 'budget_exceeded' : 'circuit_open',
+    retry_after_seconds: Math.ceil(refusal.retryAfterMs / 1000)
+  };
+}
+
+// Classify a canonical query and build the local answer for portal lookups and off-topic queries
+// Returns { intent, result, cacheSource }; `result` is null when the query needs the LLM.
+// Dataset descriptions are English, so other response languages still go to the LLM
+function answerLocally(searchQuery, state, city, responseLanguage) {
+  const { intent, portals } = intentClassifier.classify(searchQuery, state, city, PORTALS_PER_SERVICE);
+
+  if (intent === 'navigational' && responseLanguage === 'en') {
+    return { intent, result: { services: portalCards(portals) }, cacheSource: 'dataset' };
+  }
+  if (intent === 'off_topic') {
+    return { intent, result: { services: [], message: intentClassifier.declineMessage() }, cacheSource: 'declined' };
+  }
+  return { intent, result: null, cacheSource: null };
+}
+
+// "Did you mean" for misspelt words in the query as typed; translated queries are
+// the translator's wording, not the user's, so they get none
+function spellingSuggestion(translation, state, city) {
+  return translation.method === 'none' ? portalMatcher.didYouMean(translation.canonical, state, city) : null;
+}
+
+// Whether an error means the LLM was not called at all, so portal-only results should be served
+function isRefusal(error) {
+  return Boolean(error.circuitOpen || error.budgetExceeded);
+}
+
+// Cache quality tag for a validated outcome
+function resultQuality(outcome) {
+  if (!outcome.valid) return 'fallback';
+  return outcome.repairs.length > 0 ? 'repaired' : 'api';
+}
+
+// Skip fallback and negative entries once the upstream is answering again
+function cacheLookupOptions() {
+  return { minQuality: upstreamHealth.isHealthy() ? 'repaired' : null };
+}
+
+// Response body for a negative-cache hit
+function upstreamUnavailableBody(cachedResult) {
+  return {
+    error: "Search service temporarily unavailable",
+    details: cachedResult.error,
+    retry_after_seconds: Math.round(cacheService.qualityExpiration.error / 1000)
+  };
+}
+
+// Repair and validate a completion, re-prompting the model once if it is still invalid
+async function resolveServices(messages, content) {
+  let outcome = responseValidator.parse(content);
+
+  if (!outcome.valid) {
+    console.warn(`[SEARCH] Invalid LLM response (${outcome.errors.join('; ')}), sending corrective prompt`);
+
+    const retry = await callUpstream(() => llm.getProvider().complete([
+      ...messages,
+      { role: "assistant", content: content },
+      { role: "user", content: responseValidator.buildCorrectionPrompt(outcome.errors) }
+    ]), 'correction');
+    const retryOutcome = responseValidator.parse(retry.content);
+
+    outcome = {
+      ...retryOutcome,
+      repairs: [...new Set([...outcome.repairs, 'corrective_reprompt', ...retryOutcome.repairs])]
+    };
+    content = retry.content;
+  }
+
+  responseValidator.recordOutcome(outcome);
+  return { ...outcome, content };
+}
+
+// Sanitize and screen the user's query and location, then resolve the search scope
+// Returns { query, scope, state, city } with canonical place names, or { error, suggestions? }
+function resolveSearchInput(params) {
+  const input = promptGuard.screen(params);
+  if (input.error) return input;
+
+  const location = searchScope.resolve({ scope: params.scope, state: input.state, city: input.city });
+  if (location.error) return location;
+
+  // Canonical names keep cache keys and prompts consistent across spellings
+  const place = locationResolver.resolve(location);
+  if (place.error) return place;
+
+  return { ...location, ...place, query: input.query };
+}
+
+// Translate the query to canonical English and resolve the reply language
+// The original wording is recorded for analytics
+async function prepareQuery(query, requestedLanguage) {
+  const translation = await queryTranslator.canonicalize(query);
+  await cacheService.recordQueryTranslation(translation);
+
+  return {
+    translation,
+    responseLanguage: queryTranslator.resolveResponseLanguage(requestedLanguage, translation.language)
+  };
+}
+
+// Ask the model for services and return the validated outcome
+// `purpose` labels the call in usage accounting (search or follow_up)
+async function generateServices(prompt, purpose) {
+  const messages = [
+    {
+      role: "user",
+      content: prompt
+    }
+  ];
+
+  const completion = await callUpstream(() => llm.getProvider().complete(messages), purpose);
+  return resolveServices(messages, completion.content);
+}
+
+// Generate, enhance and cache results for a cache miss
+// Runs once per cache key at a time - concurrent identical searches share the outcome
+async function searchAndCache(searchQuery, state, city, translation, responseLanguage) {
+  // Links come from the dataset in use now, even if it is reloaded mid-search
+  const datasetVersion = portalMatcher.version;
+
+  try {
+    // First, get accurate portal links from our curated dataset
+    const portalInfo = portalMatcher.getBestPortal(searchQuery, state, city);
+    console.log(`[INFO] Found portal for "${searchQuery}": ${portalInfo.portal_name}`);
+
+    // Use a hybrid approach: AI for general info + our dataset for accurate links
+    const { prompt, version: promptVersion } = buildSearchPrompt(searchQuery, state, city, translation, responseLanguage, portalInfo);
+
+    const outcome = await generateServices(prompt, 'search');
+
+    if (outcome.valid) {
+      // Enhance AI results with accurate portal information
+      const result = {
+        ...outcome.result,
+        services: outcome.result.services.map(service => enhanceService(service, portalInfo, state, city)),
+        repairs: outcome.repairs
+      };
+
+      // Store successful result in cache for future requests
+      const quality = resultQuality(outcome);
+      await cacheService.storeResult(searchQuery, state, city, result, { responseLanguage, quality, promptVersion, datasetVersion });
+
+      return { result, quality, cacheSource: 'api', datasetVersion };
+    }
+
+    console.error("LLM response failed validation:", outcome.errors);
+    console.error("Raw content:", outcome.content);
+
+    // Fallback response with accurate portal info
+    const fallbackResult = {
+      ...buildFallbackResult(translation.original, state, city, portalInfo),
+      repairs: outcome.repairs
+    };
+
+    // Cache the fallback briefly so a bad response doesn't stick for a full day
+    await cacheService.storeResult(searchQuery, state, city, fallbackResult, { responseLanguage, quality: 'fallback', promptVersion, datasetVersion });
+
+    return { result: fallbackResult, quality: 'fallback', cacheSource: 'fallback', datasetVersion };
+
+  } catch (error) {
+    // Answer from the dataset without caching while the upstream is cut off or over budget
+    if (isRefusal(error)) {
+      console.warn(`[SEARCH] ${error.message}, returning portal-only results`);
+      return { result: buildPortalOnlyResult(searchQuery, state, city, error), quality: null, cacheSource: 'portal_only', datasetVersion };
+    }
+
+    // Negative-cache upstream failures so retries don't hammer a failing provider
+    if (error.isUpstreamError) {
+      await cacheService.storeResult(searchQuery, state, city, { error: error.message }, { responseLanguage, quality: 'error' });
+    }
+    throw error;
+  }
+}
+
+// Answer a follow-up question using the session's earlier results as context
+// Follow-ups depend on the conversation, so they are never cached
+async function handleFollowUp(req, res, searchStartTime) {
+  const { session_id } = req.body;
+
+  if (!req.body.query) {
+    return res.status(400).json({
+      error: "Missing required field: query"
+    });
+  }
+
+  const screened = promptGuard.screenText(req.body.query, 'question', promptGuard.maxQueryLength);
+  if (screened.error) {
+    return res.status(400).json({ error: screened.error });
+  }
+  const query = screened.text;
+
+  const session = await sessionService.getSession(session_id);
+  if (!session) {
+    return res.status(404).json({
+      error: "Session not found or expired",
+      session_id: session_id
+    });
+  }
+
+  const { state, city } = session.context;
+  console.log(`[SEARCH] Follow-up in session ${session.id}: "${query}"`);
+
+  const { translation } = await prepareQuery(query);
+  const matchQuery = `${session.context.query} ${translation.canonical}`;
+  const portalInfo = portalMatcher.getBestPortal(matchQuery, state, city);
+
+  let outcome;
+  let result;
+  try {
+    outcome = await generateServices(buildFollowUpPrompt(session, query, portalInfo).prompt, 'follow_up');
+    result = outcome.valid
+      ? { services: outcome.result.services.map(service => enhanceService(service, portalInfo, state, city)) }
+      : buildFallbackResult(query, state, city, portalInfo);
+  } catch (error) {
+    if (!isRefusal(error)) throw error;
+    outcome = { valid: false, repairs: [] };
+    result = buildPortalOnlyResult(matchQuery, state, city, error);
+  }
+
+  const turn = await sessionService.addTurn(session, query, result.services);
+
+  const responseTime = Date.now() - searchStartTime;
+  console.log(`[SEARCH] Follow-up completed (${responseTime}ms)`);
+
+  res.json({
+    ...result,
+    repairs: outcome.repairs,
+    session_id: session.id,
+    follow_up: true,
+    scope: searchScope.resolve(session.context).scope,
+    query_translation: translation,
+    response_language: session.context.response_language || 'en',
+    turn: turn,
+    dataset_version: portalMatcher.version,
+    cached: false,
+    response_time_ms: responseTime,
+    cache_source: result.degraded ? 'portal_only' : (outcome.valid ? 'api' : 'fallback')
+  });
+}
+
+// Count the client towards a query's typeahead popularity when its search found services
+function recordSearcher(req, searchQuery, services) {
+  if (services && services.length > 0) {
+    cacheService.recordSearcher(searchQuery, req.ip);
+  }
+}
+
+// Write a single Server-Sent Event
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
 
 // Government services search endpoint with AI + Portal Matching + Caching
 router.post("/search", async (req, res) => {
   const searchStartTime = Date.now();
   
   try {
-    const { query, state, city } = req.body;
+    const { response_language } = req.body;
 
-    if (!query || !state || !city) {
-      return res.status(400).json({ 
-        error: "Missing required fields: query, state, city" 
-      });
+    if (req.body.session_id) {
+      return await handleFollowUp(req, res, searchStartTime);
     }
 
-    console.log(`[SEARCH] Processing query: "${query}" for ${city}, ${state}`);
+    // State and city are optional - missing levels widen the search to the state or all of India
+    const input = resolveSearchInput(req.body);
+    if (input.error) {
+      return res.status(400).json({ error: input.error, suggestions: input.suggestions });
+    }
+    const { query, scope, state, city } = input;
+
+    // Match, prompt and cache on the canonical English form of the query
+    const { translation, responseLanguage } = await prepareQuery(query, response_language);
+    const languageInfo = { scope, query_translation: translation, response_language: responseLanguage };
+    const searchQuery = translation.canonical;
+
+    console.log(`[SEARCH] Processing query: "${searchQuery}" for ${searchScope.label(state, city)} (${scope})`);
+
+    // Portal lookups and off-topic queries are answered without the LLM
+    const local = answerLocally(searchQuery, state, city, responseLanguage);
+    languageInfo.intent = local.intent;
+    languageInfo.did_you_mean = spellingSuggestion(translation, state, city);
+    if (local.result) {
+      const responseTime = Date.now() - searchStartTime;
+      console.log(`[SEARCH] Answered ${local.intent} query locally (${responseTime}ms)`);
+      return res.json({
+        ...local.result,
+        ...languageInfo,
+        session_id: local.result.services.length > 0
+          ? await sessionService.createSession(searchQuery, state, city, local.result.services, { responseLanguage })
+          : null,
+        dataset_version: portalMatcher.version,
+        cached: false,
+        response_time_ms: responseTime,
+        cache_source: local.cacheSource
+      });
+    }
 
     // Check cache first
-    const cachedResult = await cacheService.getCachedResult(query, state, city);
+    const cachedResult = await cacheService.getCachedResult(searchQuery, state, city, { ...cacheLookupOptions(), responseLanguage });
+    if (cachedResult && cachedResult.cache_quality === 'error') {
+      console.log(`[SEARCH] Negative cache hit, upstream recently failed for this query`);
+      return res.status(503).json(upstreamUnavailableBody(cachedResult));
+    }
     if (cachedResult) {
       const responseTime = Date.now() - searchStartTime;
       console.log(`[SEARCH] Returning cached result (${responseTime}ms)`);
+      recordSearcher(req, searchQuery, cachedResult.services);
       return res.json({
         ...cachedResult,
+        ...languageInfo,
+        session_id: await sessionService.createSession(searchQuery, state, city, cachedResult.services, { responseLanguage }),
         cached: true,
         response_time_ms: responseTime,
         cache_source: 'database'
       });
     }
 
-    // First, get accurate portal links from our curated dataset
-    const portalInfo = portalMatcher.getBestPortal(query, state, city);
-    console.log(`[INFO] Found portal for "${query}": ${portalInfo.portal_name}`);
+    // Identical searches already waiting on the upstream share its answer
+    const cacheKey = cacheService.generateCacheKey(searchQuery, state, city, responseLanguage);
+    const { value: search, shared } = await singleFlight.run(cacheKey, () =>
+      searchAndCache(searchQuery, state, city, translation, responseLanguage)
+    );
+    if (shared) {
+      await cacheService.recordCoalescedRequest();
+    }
 
-    // Use a hybrid approach: AI for general info + our dataset for accurate links
+    const responseTime = Date.now() - searchStartTime;
+    console.log(`[SEARCH] ${search.cacheSource === 'fallback' ? 'Fallback response used' : 'API request completed'}${shared ? ' (coalesced)' : ''} (${responseTime}ms)`);
+    recordSearcher(req, searchQuery, search.result.services);
+    
+    res.json({
+      ...search.result,
+      ...languageInfo,
+      session_id: await sessionService.createSession(searchQuery, state, city, search.result.services, { responseLanguage }),
+      cache_quality: search.quality,
+      dataset_version: search.datasetVersion,
+      cached: false,
+      coalesced: shared,
+      response_time_ms: responseTime,
+      cache_source: search.cacheSource
+    });
+
+  } catch (error) {
+    console.error("Search API Error:", error);
+    res.status(500).json({ 
+      error: "Failed to search services",
+      details: error.message 
+    });
+  }
+});
 
-    const prompt = `You are an AI assistant helping Indian citizens find government services. 
-User Query: "${query}"
-Location: ${city}, ${state}
+// Streaming search over Server-Sent Events
+// Emits `portal` first, then one `service` event per parsed service, then `done`
+async function handleSearchStream(req, res) {
+  const searchStartTime = Date.now();
+  const params = req.method === 'GET' ? req.query : (req.body || {});
+  const { response_language } = params;
+
+  const input = resolveSearchInput(params);
+  if (input.error) {
+    return res.status(400).json({ error: input.error, suggestions: input.suggestions });
+  }
+  const { query, scope, state, city } = input;
 
-Instructions:
-- Return ONLY valid JSON, no explanations
-- Find relevant government services, offices, and procedures
-- Focus on practical information: documents, timelines, fees, procedures
-- Provide specific office locations and contact information for ${city}, ${state}
-- DO NOT include portal links - these will be provided separately
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
 
-JSON Format:
-{
-  "services": [
-    {
-      "title": "Service Name",
-      "description": "What this service provides",
-      "office": "Government office/department in ${city}",
-      "location": "Specific address in ${city}, ${state}",
-      "documents": ["Required document 1", "Required document 2"],
-      "timeline": "Processing time",
-      "fees": "Cost information",
-      "contact": "Phone/email for ${city} office",
-      "procedure": "Step-by-step process",
-      "category": "service category"
-    }
-  ]
-}`;
-
-    const response = await fetch("https://openrouter.ai/api/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Authorization": `Bearer ${process.env.OPENROUTER_API_KEY}`,
-        "Content-Type": "application/json",
-        "HTTP-Referer": "http://localhost:5000",
-        "X-Title": "Portal Finder"
-      },
-      body: JSON.stringify({
-        "model": "mistralai/mistral-7b-instruct",
-        "messages": [
+  let clientClosed = false;
+  res.on('close', () => {
+    clientClosed = !res.writableEnded;
+  });
+
+  try {
+    const { translation, responseLanguage } = await prepareQuery(query, response_language);
+    const searchQuery = translation.canonical;
+
+    console.log(`[SEARCH STREAM] Processing query: "${searchQuery}" for ${searchScope.label(state, city)} (${scope})`);
+
+    const local = answerLocally(searchQuery, state, city, responseLanguage);
+    const didYouMean = spellingSuggestion(translation, state, city);
+
+    const datasetVersion = portalMatcher.version;
+    const portalInfo = portalMatcher.getBestPortal(searchQuery, state, city);
+    if (local.intent !== 'off_topic') {
+      sendEvent(res, 'portal', portalInfo);
+    }
+
+    if (local.result) {
+      const { services, message } = local.result;
+      services.forEach(service => sendEvent(res, 'service', service));
+      sendEvent(res, 'done', {
+        total_services: services.length,
+        session_id: services.length > 0
+          ? await sessionService.createSession(searchQuery, state, city, services, { responseLanguage })
+          : null,
+        scope: scope,
+        query_translation: translation,
+        response_language: responseLanguage,
+        intent: local.intent,
+        did_you_mean: didYouMean,
+        message: message,
+        dataset_version: datasetVersion,
+        cached: false,
+        response_time_ms: Date.now() - searchStartTime,
+        cache_source: local.cacheSource
+      });
+      return res.end();
+    }
+
+    // Cached results stream back immediately as one burst
+    const cachedResult = await cacheService.getCachedResult(searchQuery, state, city, { ...cacheLookupOptions(), responseLanguage });
+    if (cachedResult && cachedResult.cache_quality === 'error') {
+      sendEvent(res, 'error', upstreamUnavailableBody(cachedResult));
+      return res.end();
+    }
+    if (cachedResult) {
+      recordSearcher(req, searchQuery, cachedResult.services);
+      (cachedResult.services || []).forEach(service => sendEvent(res, 'service', service));
+      sendEvent(res, 'done', {
+        total_services: (cachedResult.services || []).length,
+        session_id: await sessionService.createSession(searchQuery, state, city, cachedResult.services, { responseLanguage }),
+        scope: scope,
+        query_translation: translation,
+        response_language: responseLanguage,
+        intent: local.intent,
+        did_you_mean: didYouMean,
+        cache_quality: cachedResult.cache_quality,
+        dataset_version: cachedResult.dataset_version,
+        cached: true,
+        response_time_ms: Date.now() - searchStartTime,
+        cache_source: 'database'
+      });
+      return res.end();
+    }
+
+    // Identical searches already in flight share one upstream call; only the leader streams live
+    const cacheKey = cacheService.generateCacheKey(searchQuery, state, city, responseLanguage);
+    const emit = (event, data) => {
+      if (!clientClosed) sendEvent(res, event, data);
+    };
+
+    const { value: search, shared } = await singleFlight.run(cacheKey, async () => {
+      try {
+        const parser = new ServiceStreamParser();
+        const services = [];
+        const repairs = [];
+        const { prompt, version: promptVersion } = buildSearchPrompt(searchQuery, state, city, translation, responseLanguage, portalInfo);
+        const messages = [
           {
-            "role": "user",
-            "content": prompt
+            role: "user",
+            content: prompt
+          }
+        ];
+        let abandoned = false;
+
+        await callUpstream(async () => {
+          const provider = llm.getProvider();
+          let received = false;
+          let usage = null;
+          let text = '';
+
+          try {
+            for await (const chunk of provider.stream(messages, { onUsage: (reported) => { usage = reported; } })) {
+              received = true;
+              text += chunk;
+
+              // Keep reading for coalesced waiters even if this client has gone
+              if (clientClosed && !singleFlight.hasWaiters(cacheKey)) {
+                console.log('[SEARCH STREAM] Client disconnected, stopping stream');
+                abandoned = true;
+                break;
+              }
+
+              parser.push(chunk).forEach(service => {
+                const normalized = responseValidator.normalizeService(service, repairs);
+                if (!normalized.service) return;
+
+                const enhanced = enhanceService(normalized.service, portalInfo, state, city);
+                services.push(enhanced);
+                emit('service', enhanced);
+              });
+            }
+          } catch (error) {
+            // Part of the answer may already be on screen, so a retry would repeat it
+            if (received) error.retryable = false;
+            throw error;
           }
-        ],
-        "temperature": 0.3,
-        "max_tokens": 1500
-      })
+
+          // Not every endpoint reports usage for streams, so fall back to an estimate
+          return {
+            usage: usage || {
+              prompt_tokens: usageService.estimateTokens(prompt),
+              completion_tokens: usageService.estimateTokens(text)
+            },
+            estimatedUsage: !usage,
+            model: provider.model,
+            provider: provider.name
+          };
+        }, 'stream');
+
+        // Requests that joined this flight after the check above run the search themselves
+        if (abandoned) {
+          const error = new Error('Client disconnected');
+          error.abandoned = true;
+          throw error;
+        }
+
+        let result;
+        let cacheSource = 'api';
+        let quality;
+
+        if (services.length > 0) {
+          const outcome = { valid: true, repairs: [...new Set(repairs)] };
+          responseValidator.recordOutcome(outcome);
+          result = { services, repairs: outcome.repairs };
+          quality = resultQuality(outcome);
+        } else {
+          // Nothing usable arrived incrementally - repair the full text or re-prompt
+          const outcome = await resolveServices(messages, parser.getText());
+          quality = resultQuality(outcome);
+
+          if (outcome.valid) {
+            result = {
+              services: outcome.result.services.map(service => enhanceService(service, portalInfo, state, city)),
+              repairs: outcome.repairs
+            };
+          } else {
+            console.error("[SEARCH STREAM] No services parsed from completion:", outcome.content);
+            result = {
+              ...buildFallbackResult(translation.original, state, city, portalInfo),
+              repairs: outcome.repairs
+            };
+            cacheSource = 'fallback';
+          }
+
+          result.services.forEach(service => emit('service', service));
+        }
+
+        await cacheService.storeResult(searchQuery, state, city, result, { responseLanguage, quality, promptVersion, datasetVersion });
+        return { result, quality, cacheSource, datasetVersion };
+
+      } catch (error) {
+        if (isRefusal(error)) {
+          console.warn(`[SEARCH STREAM] ${error.message}, returning portal-only results`);
+          const result = buildPortalOnlyResult(searchQuery, state, city, error);
+          result.services.forEach(service => emit('service', service));
+          return { result, quality: null, cacheSource: 'portal_only', datasetVersion };
+        }
+
+        if (error.isUpstreamError) {
+          await cacheService.storeResult(searchQuery, state, city, { error: error.message }, { responseLanguage, quality: 'error' });
+        }
+        throw error;
+      }
     });
 
-    if (!response.ok) {
-      throw new Error(`API request failed: ${response.statusText}`);
+    // Coalesced requests receive the shared result as one burst
+    if (shared) {
+      await cacheService.recordCoalescedRequest();
+      search.result.services.forEach(service => emit('service', service));
     }
 
-    const data = await response.json();
-    const content = data.choices[0].message.content;
-    
+    recordSearcher(req, searchQuery, search.result.services);
+    if (clientClosed) return;
+
+    const responseTime = Date.now() - searchStartTime;
+    console.log(`[SEARCH STREAM] Completed with ${search.result.services.length} services${shared ? ' (coalesced)' : ''} (${responseTime}ms)`);
+
+    sendEvent(res, 'done', {
+      total_services: search.result.services.length,
+      repairs: search.result.repairs,
+      session_id: await sessionService.createSession(searchQuery, state, city, search.result.services, { responseLanguage }),
+      scope: scope,
+      query_translation: translation,
+      response_language: responseLanguage,
+      intent: local.intent,
+      did_you_mean: didYouMean,
+      cache_quality: search.quality,
+      dataset_version: search.datasetVersion,
+      degraded: Boolean(search.result.degraded),
+      degraded_reason: search.result.degraded_reason,
+      cached: false,
+      coalesced: shared,
+      response_time_ms: responseTime,
+      cache_source: search.cacheSource
+    });
+    res.end();
+
+  } catch (error) {
+    // Only this request's own abandoned stream ends here; its client is already gone
+    if (error.abandoned && clientClosed) return;
+    console.error("Search stream error:", error);
+
+    if (!clientClosed) {
+      sendEvent(res, 'error', {
+        error: "Failed to search services",
+        details: error.message
+      });
+      res.end();
+    }
+  }
+}
+
+router.get("/search/stream", handleSearchStream);
+router.post("/search/stream", handleSearchStream);
+
+// Run `fn` over `items` with at most `limit` calls in flight, keeping input order
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  });
+
+  await Promise.all(workers);
+  return results;
+}
+
+// Answer every batch item: cache hits first, then misses with bounded concurrency
+// Errors are reported per item so one bad row doesn't fail the batch
+async function runBatch(items, concurrency) {
+  const results = [];
+  const pending = new Map(); // cache key -> items waiting on the same search
+
+  for (const [index, item] of items.entries()) {
+    const input = resolveSearchInput(item);
+    const entry = { index, id: item.id || null, query: item.query, scope: input.scope, state: input.state, city: input.city };
+    results.push(entry);
+
+    if (input.error) {
+      Object.assign(entry, { status: 'error', error: input.error, suggestions: input.suggestions });
+      continue;
+    }
+
+    const { state, city } = input;
+
     try {
-      const parsedResult = JSON.parse(content);
-      
-      // Enhance AI results with accurate portal information
-      if (parsedResult.services && Array.isArray(parsedResult.services)) {
-        parsedResult.services = parsedResult.services.map(service => ({
-          ...service,
-          portal_link: portalInfo.portal_link,
-          portal_description: portalInfo.portal_description,
-          portal_name: portalInfo.portal_name
-        }));
+      const { translation, responseLanguage } = await prepareQuery(input.query, item.response_language);
+      const searchQuery = translation.canonical;
+      const local = answerLocally(searchQuery, state, city, responseLanguage);
+      entry.intent = local.intent;
+      entry.did_you_mean = spellingSuggestion(translation, state, city);
+      if (local.result) {
+        Object.assign(entry, { status: 'ok', ...local.result, dataset_version: portalMatcher.version, cached: false, cache_source: local.cacheSource });
+        continue;
       }
-      
-      // Store successful result in cache for future requests
-      await cacheService.storeResult(query, state, city, parsedResult);
-      
-      const responseTime = Date.now() - searchStartTime;
-      console.log(`[SEARCH] API request completed (${responseTime}ms)`);
-      
-      res.json({
-        ...parsedResult,
+
+      const cachedResult = await cacheService.getCachedResult(searchQuery, state, city, { ...cacheLookupOptions(), responseLanguage });
+
+      if (cachedResult && cachedResult.cache_quality === 'error') {
+        Object.assign(entry, { status: 'error', ...upstreamUnavailableBody(cachedResult) });
+      } else if (cachedResult) {
+        Object.assign(entry, {
+          status: 'ok',
+          services: cachedResult.services,
+          cache_quality: cachedResult.cache_quality,
+          dataset_version: cachedResult.dataset_version,
+          cached: true,
+          cache_source: 'database'
+        });
+      } else {
+        // Duplicate rows in one batch share a single search
+        const cacheKey = cacheService.generateCacheKey(searchQuery, state, city, responseLanguage);
+        if (!pending.has(cacheKey)) {
+          pending.set(cacheKey, { search: [searchQuery, state, city, translation, responseLanguage], entries: [] });
+        }
+        pending.get(cacheKey).entries.push(entry);
+      }
+    } catch (error) {
+      Object.assign(entry, { status: 'error', error: error.message });
+    }
+  }
+
+  await mapWithConcurrency([...pending.entries()], concurrency, async ([cacheKey, { search, entries }]) => {
+    let update;
+    try {
+      const { value } = await singleFlight.run(cacheKey, () => searchAndCache(...search));
+      update = {
+        status: 'ok',
+        services: value.result.services,
+        cache_quality: value.quality,
+        dataset_version: value.datasetVersion,
+        degraded: Boolean(value.result.degraded),
         cached: false,
-        response_time_ms: responseTime,
-        cache_source: 'api'
-      });
-    } catch (parseError) {
-      console.error("JSON Parse Error:", parseError);
-      console.error("Raw content:", content);
-      
-      // Fallback response with accurate portal info
-      const fallbackResult = {
-        services: [
-          {
-            title: "Service Information Available",
-            description: `For "${query}" in ${city}, ${state}`,
-            office: "Local Government Office",
-            location: `${city}, ${state}`,
-            documents: ["Identity Proof", "Address Proof"],
-            timeline: "Varies by service",
-            fees: "As applicable",
-            contact: "Visit local office for details",
-            procedure: "Contact the relevant department for specific procedures",
-            category: "General Services",
-            portal_link: portalInfo.portal_link,
-            portal_description: portalInfo.portal_description,
-            portal_name: portalInfo.portal_name
-          }
-        ]
+        cache_source: value.cacheSource
       };
-      
-      // Store fallback result in cache too
-      await cacheService.storeResult(query, state, city, fallbackResult);
-      
-      const responseTime = Date.now() - searchStartTime;
-      console.log(`[SEARCH] Fallback response used (${responseTime}ms)`);
-      
-      res.json({
-        ...fallbackResult,
-        cached: false,
-        response_time_ms: responseTime,
-        cache_source: 'fallback'
-      });
+    } catch (error) {
+      update = { status: 'error', error: "Failed to search services", details: error.message };
+    }
+    entries.forEach(entry => Object.assign(entry, update));
+  });
+
+  return results;
+}
+
+// Flatten batch results to one CSV row per service (or one row for an item without services)
+function batchResultsToCsv(results) {
+  const rows = [];
+
+  results.forEach(result => {
+    const base = {
+      item: result.index + 1,
+      id: result.id,
+      query: result.query,
+      scope: result.scope,
+      state: result.state,
+      city: result.city,
+      status: result.status,
+      error: result.details ? `${result.error}: ${result.details}` : result.error,
+      intent: result.intent,
+      cached: result.status === 'ok' ? result.cached : ''
+    };
+    const services = result.services || [];
+
+    if (services.length === 0) {
+      rows.push(base);
+      return;
+    }
+
+    services.forEach(service => rows.push({
+      ...base,
+      service_title: service.title,
+      description: service.description,
+      documents: Array.isArray(service.documents) ? service.documents.join('; ') : service.documents,
+      timeline: service.timeline,
+      fees: service.fees,
+      office: service.office,
+      location: service.location,
+      contact: service.contact,
+      portal_name: service.portal_name,
+      portal_link: service.portal_link,
+      portal_level: service.portal_level
+    }));
+  });
+
+  return toCsv(rows, BATCH_CSV_COLUMNS);
+}
+
+// Batch search for partner integrations
+// Accepts JSON `{ items: [{ query, state?, city?, scope?, response_language?, id? }] }` or a
+// CSV upload with the same columns; CSV uploads get CSV back unless `?format=json`
+router.post("/search/batch", express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), async (req, res) => {
+  const batchStartTime = Date.now();
+  const csvInput = typeof req.body === 'string';
+  const format = req.query.format || (csvInput ? 'csv' : 'json');
+
+  let items;
+  if (csvInput) {
+    try {
+      items = parseCsv(req.body);
+    } catch (error) {
+      return res.status(400).json({ error: "Invalid CSV", details: error.message });
+    }
+  } else {
+    items = req.body && req.body.items;
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    return res.status(400).json({
+      error: "No items to search",
+      message: 'Send { "items": [{ "query": "...", "state": "...", "city": "..." }] } or a CSV with query,state,city columns'
+    });
+  }
+
+  if (items.length > BATCH_MAX_ITEMS) {
+    return res.status(400).json({
+      error: `Too many items: ${items.length} (maximum ${BATCH_MAX_ITEMS} per batch)`
+    });
+  }
+
+  try {
+    const concurrency = Math.max(1, Math.min(parseInt(req.body.concurrency) || BATCH_CONCURRENCY, BATCH_CONCURRENCY));
+    console.log(`[SEARCH BATCH] Processing ${items.length} items (concurrency ${concurrency})`);
+
+    const results = await runBatch(items, concurrency);
+    const responseTime = Date.now() - batchStartTime;
+
+    const summary = {
+      total: results.length,
+      succeeded: results.filter(r => r.status === 'ok').length,
+      failed: results.filter(r => r.status === 'error').length,
+      cached: results.filter(r => r.cached).length,
+      response_time_ms: responseTime
+    };
+    console.log(`[SEARCH BATCH] Completed ${summary.succeeded}/${summary.total} items, ${summary.cached} from cache (${responseTime}ms)`);
+
+    if (format === 'csv') {
+      res.type('text/csv');
+      res.attachment('portal-finder-results.csv');
+      return res.send(batchResultsToCsv(results));
     }
 
+    res.json({ results, summary });
+
   } catch (error) {
-    console.error("Search API Error:", error);
-    res.status(500).json({ 
-      error: "Failed to search services",
-      details: error.message 
+    console.error("Batch search error:", error);
+    res.status(500).json({
+      error: "Failed to run batch search",
+      details: error.message
+    });
+  }
+});
+
+// Typeahead suggestions for the search box
+// `q` is the partly typed query; `state` narrows both curated and popular suggestions
+router.get("/suggest", async (req, res) => {
+  try {
+    const { q, state, limit } = req.query;
+    if (typeof q !== 'string') {
+      return res.status(400).json({ error: "Missing required parameter: q" });
+    }
+
+    const prefix = promptGuard.sanitize(q);
+    if (prefix.length > promptGuard.maxQueryLength) {
+      return res.status(400).json({ error: `q is too long (max ${promptGuard.maxQueryLength} characters)` });
+    }
+
+    let stateName = null;
+    if (typeof state === 'string' && state.trim()) {
+      const resolved = locationResolver.resolveState(promptGuard.sanitize(state));
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error, suggestions: resolved.suggestions });
+      }
+      stateName = resolved.state;
+    }
+
+    res.json({
+      query: prefix,
+      state: stateName,
+      suggestions: await suggestService.suggest(prefix, stateName, limit)
     });
+  } catch (error) {
+    console.error("Suggest error:", error);
+    res.status(500).json({ error: "Failed to get suggestions", details: error.message });
   }
 });
 
@@ -173,11 +976,41 @@ JSON Format:
 router.get("/test-portal/:query", (req, res) => {
   try {
     const { query } = req.params;
-    const portalInfo = portalMatcher.getBestPortal(query);
-    const allMatches = portalMatcher.getRelevantPortals(query, null, null, 5);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 20);
+
+    const place = locationResolver.resolve({ state: req.query.state || null, city: req.query.city || null });
+    if (place.error) {
+      return res.status(400).json({ error: place.error, suggestions: place.suggestions });
+    }
+    const { state, city } = place;
+
+    // ?profile= ranks with another ranking profile, to compare it with the active one
+    const profile = req.query.profile || null;
+    if (profile && !rankingProfiles.get(profile)) {
+      return res.status(400).json({ error: `Unknown ranking profile: ${profile}` });
+    }
+
+    // ?explain=true shows the pass, scoring components and BM25 terms behind each match
+    if (req.query.explain === 'true') {
+      return res.json({
+        query: query,
+        state: state,
+        city: city,
+        dataset_version: portalMatcher.version,
+        best_match: portalMatcher.getBestPortal(query, state, city, { profile }),
+        ...portalMatcher.explainMatches(query, state, city, limit, profile)
+      });
+    }
+
+    const portalInfo = portalMatcher.getBestPortal(query, state, city, { profile });
+    const allMatches = portalMatcher.getRelevantPortals(query, state, city, limit, { profile });
     
     res.json({
       query: query,
+      state: state,
+      city: city,
+      ranking_profile: rankingProfiles.resolve(profile).name,
+      did_you_mean: portalMatcher.didYouMean(query, state, city, profile),
       best_match: portalInfo,
       all_matches: allMatches
     });
@@ -5,7 +5,15 @@ const cors = require("cors");
 const path = require("path");
 const searchRoutes = require("./routes/search");
 const cacheRoutes = require("./routes/cache");
+const promptRoutes = require("./routes/prompts");
+const datasetRoutes = require("./routes/dataset");
+const rankingRoutes = require("./routes/ranking");
 const cacheService = require("./services/CacheService");
+const sessionService = require("./services/SessionService");
+const promptTemplates = require("./services/PromptTemplateService");
+const rankingProfiles = require("./services/RankingProfileService");
+const usageService = require("./services/UsageService");
+const portalMatcher = require("./services/portalMatcher");
 const { 
   requireAdminAuth, 
   requireAdminAuthForStatic, 
@@ -53,6 +61,15 @@ app.use("/api", searchRoutes);
 // Admin cache routes (authentication removed - open for all)
 app.use("/api/cache", cacheRoutes);
 
+// Admin prompt template management (reads and previews are open; version changes need the admin API key)
+app.use("/api/admin/prompts", promptRoutes);
+
+// Portal dataset reload and cache invalidation (status is open; reload and invalidate need the admin API key)
+app.use("/api/admin/dataset", datasetRoutes);
+
+// Portal ranking profiles (reads and comparisons are open; saving and activating need the admin API key)
+app.use("/api/admin/ranking", rankingRoutes);
+
 // Serve states.json (convert object → array for frontend)
 // Serve states.json (convert object → array for frontend)
 app.get("/api/states", (req, res) => {
@@ -93,6 +110,10 @@ async function initializeServices() {
     console.log('[SERVER] Initializing cache service...');
     await cacheService.initialize();
     console.log('[SERVER] Cache service initialized successfully');
+    sessionService.startCleanupProcess();
+    await promptTemplates.initialize();
+    await rankingProfiles.initialize();
+    await usageService.initialize();
   } catch (error) {
     console.error('[SERVER] Failed to initialize cache service:', error);
     console.log('[SERVER] Continuing without cache (searches will always hit API)');
@@ -105,18 +126,32 @@ app.listen(PORT, async () => {
   
   // Initialize services after server starts
   await initializeServices();
+
+  // Pick up edits to the portal dataset without a restart
+  portalMatcher.watch();
   
   console.log('\n📊 Available endpoints:');
   console.log(`   🔍 Search API: http://localhost:${PORT}/api/search`);
+  console.log(`   📡 Streaming Search: http://localhost:${PORT}/api/search/stream`);
+  console.log(`   📦 Batch Search: POST http://localhost:${PORT}/api/search/batch`);
   console.log(`   🗺️  States API: http://localhost:${PORT}/api/states`);
   console.log(`   🏠 Frontend: http://localhost:${PORT}`);
   console.log('\n🔓 Open Admin Endpoints:');
   console.log(`   🎛️  Admin Dashboard: http://localhost:${PORT}/admin`);
   console.log(`   📈 Cache Stats: http://localhost:${PORT}/api/cache/stats`);
   console.log(`   🔥 Cache Health: http://localhost:${PORT}/api/cache/health`);
+  console.log(`   💰 LLM Usage: http://localhost:${PORT}/api/cache/usage`);
   console.log(`   🧪 Cache Test: POST http://localhost:${PORT}/api/cache/test`);
   console.log(`   🔑 Admin Auth: POST http://localhost:${PORT}/api/admin/authenticate`);
-  console.log('\n⚠️  Security: Authentication disabled - admin endpoints are open to all');
+  console.log('\n🔐 Admin Endpoints (changes need the X-Admin-API-Key header):');
+  console.log(`   📝 Prompt Templates: http://localhost:${PORT}/api/admin/prompts`);
+  console.log(`   🗂️  Portal Dataset: http://localhost:${PORT}/api/admin/dataset`);
+  console.log(`   ⚖️  Ranking Profiles: http://localhost:${PORT}/api/admin/ranking`);
+  if (process.env.ADMIN_API_KEY) {
+    console.log('\n🔒 Security: admin changes are protected by ADMIN_API_KEY; cache routes are open');
+  } else {
+    console.log('\n⚠️  Security: ADMIN_API_KEY is not set - admin changes accept the built-in default key; set it before deploying');
+  }
 });
 
 // Graceful shutdown
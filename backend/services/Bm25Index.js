@@ -0,0 +1,147 @@
+const { STOP_WORDS, terms } = require('./tokenizer');
+
+// Standard BM25 parameters: term-frequency saturation and document-length normalization
+const DEFAULT_K1 = 1.2;
+const DEFAULT_B = 0.75;
+
+/**
+ * Bm25Index - Inverted index over small multi-field documents with BM25 ranking
+ * Each document has named text fields; a field's weight multiplies the
+ * frequency of its terms, so a keyword hit can count more than a word in a
+ * description. Lookups only touch the postings of the query's terms.
+ */
+class Bm25Index {
+  constructor({ fieldWeights = {}, stopWords = STOP_WORDS, k1 = DEFAULT_K1, b = DEFAULT_B } = {}) {
+    this.fieldWeights = fieldWeights;
+    this.stopWords = stopWords;
+    this.k1 = k1;
+    this.b = b;
+    this.documents = [];
+    this.postings = new Map(); // term -> Map(document index -> weighted term frequency)
+    this.totalLength = 0;
+  }
+
+  /**
+   * Add a document; `fields` maps field names to text or arrays of text
+   * Returns the document's index
+   */
+  add(document, fields) {
+    const id = this.documents.length;
+    const frequencies = new Map();
+    const fieldCounts = new Map(); // term -> { field: occurrences }, for explanations
+    let length = 0;
+
+    Object.entries(fields).forEach(([field, value]) => {
+      const weight = this.fieldWeights[field] || 1;
+      (Array.isArray(value) ? value : [value]).filter(Boolean).forEach(text => {
+        terms(text, this.stopWords).forEach(term => {
+          frequencies.set(term, (frequencies.get(term) || 0) + weight);
+          length += weight;
+
+          const counts = fieldCounts.get(term) || {};
+          counts[field] = (counts[field] || 0) + 1;
+          fieldCounts.set(term, counts);
+        });
+      });
+    });
+
+    frequencies.forEach((frequency, term) => {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(id, frequency);
+    });
+
+    this.documents.push({ document, length, fieldCounts });
+    this.totalLength += length;
+    return id;
+  }
+
+  /**
+   * Inverse document frequency of a term (0 when no document contains it)
+   */
+  idf(term) {
+    const postings = this.postings.get(term);
+    if (!postings) return 0;
+
+    const count = this.documents.length;
+    return Math.log(1 + (count - postings.size + 0.5) / (postings.size + 0.5));
+  }
+
+  /**
+   * Weighted frequency of a single hit in the highest-weighted field
+   */
+  strongestFieldWeight() {
+    return Math.max(1, ...Object.values(this.fieldWeights));
+  }
+
+  /**
+   * Rank documents for a query, best first
+   * Returns [{ document, score, relevance, matchedTerms }]. `score` is the BM25 score;
+   * `relevance` (0-1) is the idf-weighted share of the query's terms the document
+   * matches, each counting fully once its weighted frequency reaches a single hit in the
+   * strongest field (a keyword) - a lone description word counts for a third.
+   * Only terms the index knows count; words no portal uses don't pull relevance down.
+   * `text` may also be a list of index terms that were already tokenized.
+   * `filter(document)` can exclude documents before scoring. With `explain`, each result
+   * also has `terms`: every matched term's idf, weighted frequency, fields and score.
+   */
+  search(text, filter = null, { explain = false } = {}) {
+    const queryTerms = [...new Set(Array.isArray(text) ? text : terms(text, this.stopWords))]
+      .filter(term => this.postings.has(term));
+    if (queryTerms.length === 0) return [];
+
+    const averageLength = this.totalLength / this.documents.length;
+    const strongestField = this.strongestFieldWeight();
+    const scores = new Map(); // document index -> { score, matched, matchedTerms }
+
+    queryTerms.forEach(term => {
+      const idf = this.idf(term);
+      this.postings.get(term).forEach((frequency, id) => {
+        const { document, length } = this.documents[id];
+        if (filter && !filter(document)) return;
+
+        const saturation = (frequency * (this.k1 + 1)) /
+          (frequency + this.k1 * (1 - this.b + this.b * length / averageLength));
+        const entry = scores.get(id) || { score: 0, matched: 0, matchedTerms: [], terms: [] };
+        entry.score += idf * saturation;
+        entry.matched += idf * Math.min(frequency / strongestField, 1);
+        entry.matchedTerms.push(term);
+        if (explain) {
+          entry.terms.push({ term, idf, frequency, fields: this.documents[id].fieldCounts.get(term), score: idf * saturation });
+        }
+        scores.set(id, entry);
+      });
+    });
+
+    const queryWeight = queryTerms.reduce((sum, term) => sum + this.idf(term), 0);
+    return [...scores.entries()]
+      .map(([id, { score, matched, matchedTerms, terms: termScores }]) => ({
+        document: this.documents[id].document,
+        score,
+        relevance: matched / queryWeight,
+        matchedTerms,
+        ...(explain && { terms: termScores })
+      }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Index terms of a query, in order, and split into those the index knows and those it doesn't
+   */
+  queryTerms(text) {
+    const allTerms = [...new Set(terms(text, this.stopWords))];
+    return {
+      all: allTerms,
+      known: allTerms.filter(term => this.postings.has(term)),
+      unknown: allTerms.filter(term => !this.postings.has(term))
+    };
+  }
+
+  /**
+   * Number of indexed documents and distinct terms
+   */
+  getStats() {
+    return { documents: this.documents.length, terms: this.postings.size };
+  }
+}
+
+module.exports = Bm25Index;
@@ -3,6 +3,44 @@ const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
 
+// Columns added after the original schema; applied to existing databases on startup
+const COLUMN_MIGRATIONS = [
+  {
+    table: 'search_cache',
+    column: 'quality',
+    definition: "TEXT NOT NULL DEFAULT 'api'",
+    indexes: ['CREATE INDEX IF NOT EXISTS idx_quality ON search_cache(quality)']
+  },
+  {
+    table: 'cache_stats',
+    column: 'coalesced_requests',
+    definition: 'INTEGER DEFAULT 0'
+  },
+  {
+    table: 'search_cache',
+    column: 'prompt_version',
+    definition: 'TEXT',
+    indexes: ['CREATE INDEX IF NOT EXISTS idx_prompt_version ON search_cache(prompt_version)']
+  },
+  {
+    table: 'search_cache',
+    column: 'dataset_version',
+    definition: 'TEXT',
+    indexes: ['CREATE INDEX IF NOT EXISTS idx_dataset_version ON search_cache(dataset_version)']
+  }
+];
+
+// Salt for searcher hashes; set SEARCHER_ID_SALT to keep counting the same people across restarts
+const SEARCHER_ID_SALT = process.env.SEARCHER_ID_SALT || crypto.randomBytes(16).toString('hex');
+
+// Result quality levels, lowest to highest
+const QUALITY_RANK = {
+  error: 0,
+  fallback: 1,
+  repaired: 2,
+  api: 3
+};
+
 /**
  * CacheService - Comprehensive caching system for Portal Finder
  * Features:
@@ -20,6 +58,14 @@ class CacheService {
     this.memoryCacheSize = 100; // Keep last 100 queries in memory
     this.isInitialized = false;
     this.defaultCacheExpiration = 24 * 60 * 60 * 1000; // 24 hours in milliseconds
+    // Degraded results expire quickly so one bad response can't poison a query for a day
+    this.qualityExpiration = {
+      api: this.defaultCacheExpiration,
+      repaired: this.defaultCacheExpiration,
+      fallback: (parseInt(process.env.CACHE_FALLBACK_TTL_MINUTES) || 30) * 60 * 1000,
+      error: (parseInt(process.env.CACHE_ERROR_TTL_SECONDS) || 120) * 1000
+    };
+    this.qualityLevels = Object.keys(QUALITY_RANK);
   }
 
   /**
@@ -45,6 +91,7 @@ class CacheService {
 
       // Create tables from schema
       await this.createTables();
+      await this.runMigrations();
       
       // Start background cleanup process
       this.startCleanupProcess();
@@ -78,19 +125,62 @@ class CacheService {
     });
   }
 
+  /**
+   * Add columns introduced after a database was first created
+   */
+  async runMigrations() {
+    for (const migration of COLUMN_MIGRATIONS) {
+      const columns = await new Promise((resolve, reject) => {
+        this.db.all(`PRAGMA table_info(${migration.table})`, [], (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows.map(row => row.name));
+        });
+      });
+
+      const statements = [];
+      if (!columns.includes(migration.column)) {
+        statements.push(`ALTER TABLE ${migration.table} ADD COLUMN ${migration.column} ${migration.definition}`);
+        console.log(`[CacheService] Migrating: adding ${migration.table}.${migration.column}`);
+      }
+      statements.push(...(migration.indexes || []));
+
+      for (const statement of statements) {
+        await new Promise((resolve, reject) => {
+          this.db.run(statement, [], (err) => {
+            if (err) {
+              console.error('[CacheService] Migration failed:', err);
+              reject(err);
+            } else {
+              resolve();
+            }
+          });
+        });
+      }
+    }
+  }
+
+  /**
+   * Whether a result quality meets the requested minimum
+   */
+  meetsQuality(quality, minQuality) {
+    if (!minQuality) return true;
+    return (QUALITY_RANK[quality] ?? QUALITY_RANK.api) >= QUALITY_RANK[minQuality];
+  }
+
   /**
    * Normalize query for better cache hit rates
    */
   normalizeQuery(query) {
     return query
+      .normalize('NFC')
       .toLowerCase()
       .trim()
       // Remove extra spaces
       .replace(/\s+/g, ' ')
       // Remove common words that don't affect search
       .replace(/\b(the|a|an|and|or|of|for|in|on|at|to|by|with)\b/g, '')
-      // Remove punctuation
-      .replace(/[^\w\s]/g, '')
+      // Remove punctuation (letters and combining marks of any script are kept)
+      .replace(/[^\p{L}\p{M}\p{N}\s]/gu, '')
       // Remove extra spaces again
       .replace(/\s+/g, ' ')
       .trim();
@@ -98,10 +188,16 @@ class CacheService {
 
   /**
    * Generate cache key from normalized query, state, and city
+   * A missing state or city (national or state-wide searches) keys as `*`;
+   * non-English response languages get their own entries
    */
-  generateCacheKey(query, state, city) {
+  generateCacheKey(query, state, city, responseLanguage = 'en') {
     const normalizedQuery = this.normalizeQuery(query);
-    const cacheString = `${normalizedQuery}|${state.toLowerCase()}|${city.toLowerCase()}`;
+    const location = [state, city].map(part => part ? part.toLowerCase() : '*').join('|');
+    let cacheString = `${normalizedQuery}|${location}`;
+    if (responseLanguage && responseLanguage !== 'en') {
+      cacheString += `|${responseLanguage}`;
+    }
     return crypto.createHash('md5').update(cacheString).digest('hex');
   }
 
@@ -131,8 +227,10 @@ class CacheService {
 
   /**
    * Get cached result for a query
+   * Pass `options.minQuality` to treat lower-quality entries as misses and
+   * `options.responseLanguage` to look up results written in that language
    */
-  async getCachedResult(query, state, city) {
+  async getCachedResult(query, state, city, options = {}) {
     if (!this.isInitialized) {
       console.warn('[CacheService] Cache not initialized');
       return null;
@@ -142,15 +240,17 @@ class CacheService {
     
     try {
       const normalizedQuery = this.normalizeQuery(query);
-      const cacheKey = this.generateCacheKey(query, state, city);
+      const cacheKey = this.generateCacheKey(query, state, city, options.responseLanguage);
       
       // Check memory cache first
       if (this.memoryCache.has(cacheKey)) {
         const cached = this.memoryCache.get(cacheKey);
         if (cached.expires_at > Date.now()) {
-          console.log(`[CacheService] Memory cache hit for query: "${query}"`);
-          this.updateCacheStats(true, Date.now() - startTime);
-          return cached.results;
+          if (this.meetsQuality(cached.quality, options.minQuality)) {
+            console.log(`[CacheService] Memory cache hit for query: "${query}"`);
+            this.updateCacheStats(true, Date.now() - startTime);
+            return { ...cached.results, cache_quality: cached.quality, dataset_version: cached.dataset_version };
+          }
         } else {
           // Remove expired entry from memory
           this.memoryCache.delete(cacheKey);
@@ -164,7 +264,7 @@ class CacheService {
       if (!dbResult) {
         const synonymQuery = await this.findSynonymQuery(normalizedQuery);
         if (synonymQuery) {
-          const synonymKey = this.generateCacheKey(synonymQuery, state, city);
+          const synonymKey = this.generateCacheKey(synonymQuery, state, city, options.responseLanguage);
           dbResult = await this.queryDatabase(synonymKey);
           if (dbResult) {
             console.log(`[CacheService] Synonym cache hit: "${query}" -> "${synonymQuery}"`);
@@ -172,6 +272,11 @@ class CacheService {
         }
       }
 
+      if (dbResult && !this.meetsQuality(dbResult.quality, options.minQuality)) {
+        console.log(`[CacheService] Bypassing ${dbResult.quality} entry for query: "${query}"`);
+        dbResult = null;
+      }
+
       if (dbResult) {
         // Update hit count and last accessed
         await this.updateHitCount(dbResult.id);
@@ -179,12 +284,15 @@ class CacheService {
         // Add to memory cache
         this.addToMemoryCache(cacheKey, {
           results: JSON.parse(dbResult.search_results),
-          expires_at: new Date(dbResult.expires_at).getTime()
+          expires_at: new Date(dbResult.expires_at).getTime(),
+          quality: dbResult.quality,
+          prompt_version: dbResult.prompt_version,
+          dataset_version: dbResult.dataset_version
         });
 
         this.updateCacheStats(true, Date.now() - startTime);
         console.log(`[CacheService] Database cache hit for query: "${query}"`);
-        return JSON.parse(dbResult.search_results);
+        return { ...JSON.parse(dbResult.search_results), cache_quality: dbResult.quality, dataset_version: dbResult.dataset_version };
       }
 
       this.updateCacheStats(false, Date.now() - startTime);
@@ -222,32 +330,42 @@ class CacheService {
 
   /**
    * Store search result in cache
+   * `options.quality` is one of api, repaired, fallback or error (negative cache);
+   * `options.responseLanguage` keys the entry by the language it is written in;
+   * `options.promptVersion` records the prompt template that produced it and
+   * `options.datasetVersion` the portal dataset its links came from
    */
-  async storeResult(query, state, city, results) {
+  async storeResult(query, state, city, results, options = {}) {
     if (!this.isInitialized) {
       console.warn('[CacheService] Cache not initialized');
       return;
     }
 
     try {
+      const quality = QUALITY_RANK[options.quality] !== undefined ? options.quality : 'api';
       const normalizedQuery = this.normalizeQuery(query);
-      const cacheKey = this.generateCacheKey(query, state, city);
-      const expiresAt = new Date(Date.now() + this.defaultCacheExpiration);
+      const cacheKey = this.generateCacheKey(query, state, city, options.responseLanguage);
+      const expiresAt = new Date(Date.now() + this.qualityExpiration[quality]);
       const resultsJson = JSON.stringify(results);
 
       // Store in database
-      await this.insertCacheEntry(cacheKey, query, normalizedQuery, state, city, resultsJson, expiresAt);
+      await this.insertCacheEntry(cacheKey, query, normalizedQuery, state || '', city || '', resultsJson, expiresAt, quality, options.promptVersion, options.datasetVersion);
       
       // Store in memory cache
       this.addToMemoryCache(cacheKey, {
         results: results,
-        expires_at: expiresAt.getTime()
+        expires_at: expiresAt.getTime(),
+        quality: quality,
+        prompt_version: options.promptVersion || null,
+        dataset_version: options.datasetVersion || null
       });
 
-      // Update popular queries
-      await this.updatePopularQuery(normalizedQuery, state, results.services ? results.services.length : 0);
+      // Upstream failures are not searches with results worth ranking
+      if (quality !== 'error') {
+        await this.updatePopularQuery(normalizedQuery, state, results.services ? results.services.length : 0);
+      }
       
-      console.log(`[CacheService] Cached result for query: "${query}"`);
+      console.log(`[CacheService] Cached ${quality} result for query: "${query}"`);
 
     } catch (error) {
       console.error('[CacheService] Error storing result:', error);
@@ -257,15 +375,15 @@ class CacheService {
   /**
    * Insert cache entry into database
    */
-  async insertCacheEntry(cacheKey, originalQuery, normalizedQuery, state, city, resultsJson, expiresAt) {
+  async insertCacheEntry(cacheKey, originalQuery, normalizedQuery, state, city, resultsJson, expiresAt, quality = 'api', promptVersion = null, datasetVersion = null) {
     return new Promise((resolve, reject) => {
       const query = `
         INSERT OR REPLACE INTO search_cache 
-        (query_hash, original_query, normalized_query, state, city, search_results, expires_at, created_at, updated_at, last_accessed)
-        VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'), datetime('now'))
+        (query_hash, original_query, normalized_query, state, city, search_results, expires_at, quality, prompt_version, dataset_version, created_at, updated_at, last_accessed)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now'), datetime('now'), datetime('now'))
       `;
       
-      this.db.run(query, [cacheKey, originalQuery, normalizedQuery, state, city, resultsJson, expiresAt.toISOString()], function(err) {
+      this.db.run(query, [cacheKey, originalQuery, normalizedQuery, state, city, resultsJson, expiresAt.toISOString(), quality, promptVersion || null, datasetVersion || null], function(err) {
         if (err) {
           console.error('[CacheService] Error inserting cache entry:', err);
           reject(err);
@@ -332,7 +450,7 @@ class CacheService {
             states = [];
           }
           
-          if (!states.includes(state)) {
+          if (state && !states.includes(state)) {
             states.push(state);
           }
 
@@ -359,7 +477,7 @@ class CacheService {
             VALUES (?, 1, ?, ?, datetime('now'))
           `;
           
-          this.db.run(insertQuery, [normalizedQuery, resultCount, JSON.stringify([state])], (err) => {
+          this.db.run(insertQuery, [normalizedQuery, resultCount, JSON.stringify(state ? [state] : [])], (err) => {
             if (err) {
               console.error('[CacheService] Error inserting popular query:', err);
             }
@@ -370,6 +488,84 @@ class CacheService {
     });
   }
 
+  /**
+   * Count a client as having searched a query, for typeahead popularity
+   * Only a salted hash of the client address is stored; repeat searches by the same client count once
+   */
+  async recordSearcher(query, clientAddress) {
+    if (!this.isInitialized || !clientAddress) return;
+
+    const searcher = crypto.createHmac('sha256', SEARCHER_ID_SALT).update(String(clientAddress)).digest('hex').slice(0, 32);
+    return new Promise((resolve) => {
+      const insertQuery = `INSERT OR IGNORE INTO popular_query_searchers (normalized_query, searcher) VALUES (?, ?)`;
+
+      this.db.run(insertQuery, [this.normalizeQuery(query), searcher], (err) => {
+        if (err) {
+          console.error('[CacheService] Error recording searcher:', err);
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Record a translated query so original-language searches show up in analytics
+   */
+  async recordQueryTranslation(translation) {
+    if (!this.isInitialized || translation.method === 'none') return;
+
+    return new Promise((resolve) => {
+      const query = `
+        INSERT INTO query_translations (original_query, language, canonical_query, method)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(original_query) DO UPDATE SET
+          search_count = search_count + 1,
+          canonical_query = excluded.canonical_query,
+          method = excluded.method,
+          last_searched = datetime('now')
+      `;
+
+      this.db.run(query, [translation.original, translation.language, translation.canonical, translation.method], (err) => {
+        if (err) {
+          console.error('[CacheService] Error recording query translation:', err);
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Searches per detected query language, with the most frequent translated queries
+   */
+  async getLanguageStats(limit = 20) {
+    const all = (sql, params) => new Promise((resolve) => {
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          console.error('[CacheService] Error getting language stats:', err);
+          resolve([]);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+
+    const languages = await all(`
+      SELECT language, SUM(search_count) AS searches, COUNT(*) AS distinct_queries
+      FROM query_translations
+      GROUP BY language
+      ORDER BY searches DESC
+    `, []);
+
+    const topQueries = await all(`
+      SELECT original_query, language, canonical_query, method, search_count, last_searched
+      FROM query_translations
+      ORDER BY search_count DESC, last_searched DESC
+      LIMIT ?
+    `, [limit]);
+
+    return { languages, top_queries: topQueries };
+  }
+
   /**
    * Update cache statistics
    */
@@ -426,10 +622,60 @@ class CacheService {
     });
   }
 
+  /**
+   * Count a cache miss that shared another request's in-flight upstream call
+   */
+  async recordCoalescedRequest() {
+    if (!this.isInitialized) return;
+
+    const today = new Date().toISOString().split('T')[0]; // YYYY-MM-DD format
+
+    return new Promise((resolve) => {
+      const query = `
+        INSERT INTO cache_stats (date, coalesced_requests) VALUES (?, 1)
+        ON CONFLICT(date) DO UPDATE SET coalesced_requests = coalesced_requests + 1
+      `;
+
+      this.db.run(query, [today], (err) => {
+        if (err) {
+          console.error('[CacheService] Error recording coalesced request:', err);
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Count live cache entries by result quality
+   */
+  async getQualityCounts() {
+    return new Promise((resolve) => {
+      const query = `
+        SELECT quality, COUNT(*) AS count FROM search_cache
+        WHERE expires_at > datetime('now')
+        GROUP BY quality
+      `;
+
+      this.db.all(query, [], (err, rows) => {
+        const counts = Object.fromEntries(this.qualityLevels.map(level => [level, 0]));
+        if (err) {
+          console.error('[CacheService] Error counting cache quality:', err);
+        } else {
+          rows.forEach(row => {
+            counts[row.quality] = row.count;
+          });
+        }
+        resolve(counts);
+      });
+    });
+  }
+
   /**
    * Get cache statistics
    */
   async getCacheStats(days = 7) {
+    const qualityCounts = await this.getQualityCounts();
+
     return new Promise((resolve) => {
       const query = `
         SELECT * FROM cache_stats 
@@ -447,6 +693,7 @@ class CacheService {
           const totalHits = rows.reduce((sum, row) => sum + row.cache_hits, 0);
           const totalMisses = rows.reduce((sum, row) => sum + row.cache_misses, 0);
           const totalApiCallsSaved = rows.reduce((sum, row) => sum + row.api_calls_saved, 0);
+          const totalCoalesced = rows.reduce((sum, row) => sum + (row.coalesced_requests || 0), 0);
           const avgResponseTime = rows.length > 0 ? rows.reduce((sum, row) => sum + row.avg_response_time_ms, 0) / rows.length : 0;
 
           resolve({
@@ -456,8 +703,10 @@ class CacheService {
               cache_misses: totalMisses,
               hit_rate: totalRequests > 0 ? ((totalHits / totalRequests) * 100).toFixed(2) : 0,
               api_calls_saved: totalApiCallsSaved,
+              coalesced_requests: totalCoalesced,
               avg_response_time_ms: avgResponseTime.toFixed(2),
-              memory_cache_size: this.memoryCache.size
+              memory_cache_size: this.memoryCache.size,
+              quality_counts: qualityCounts
             },
             daily_stats: rows
           });
@@ -492,6 +741,42 @@ class CacheService {
     });
   }
 
+  /**
+   * Popular queries where a word starts with `prefix`, searched by the most people first
+   * Only queries that returned results and were searched by at least `minSearchers`
+   * distinct clients are included; `searchers` is that count
+   */
+  async getPopularQueriesByPrefix(prefix, minSearchers, limit = 50) {
+    if (!this.isInitialized) return [];
+
+    const escaped = prefix.replace(/[\\%_]/g, '\\$&');
+    return new Promise((resolve) => {
+      const query = `
+        SELECT p.normalized_query, p.search_count, p.states_searched, COUNT(s.searcher) AS searchers
+        FROM popular_queries p
+        JOIN popular_query_searchers s ON s.normalized_query = p.normalized_query
+        WHERE p.avg_results > 0
+          AND (p.normalized_query LIKE ? ESCAPE '\\' OR p.normalized_query LIKE ? ESCAPE '\\')
+        GROUP BY p.id
+        HAVING COUNT(s.searcher) >= ?
+        ORDER BY searchers DESC, p.search_count DESC, p.last_searched DESC
+        LIMIT ?
+      `;
+
+      this.db.all(query, [`${escaped}%`, `% ${escaped}%`, minSearchers, limit], (err, rows) => {
+        if (err) {
+          console.error('[CacheService] Error getting popular queries by prefix:', err);
+          resolve([]);
+        } else {
+          resolve(rows.map(row => ({
+            ...row,
+            states_searched: JSON.parse(row.states_searched || '[]')
+          })));
+        }
+      });
+    });
+  }
+
   /**
    * Clear expired cache entries
    */
@@ -528,6 +813,107 @@ class CacheService {
     });
   }
 
+  /**
+   * Live cache entries per prompt template version
+   */
+  async getPromptVersionCounts() {
+    if (!this.isInitialized) return {};
+
+    return new Promise((resolve) => {
+      const query = `
+        SELECT prompt_version, COUNT(*) AS count FROM search_cache
+        WHERE expires_at > datetime('now') AND prompt_version IS NOT NULL
+        GROUP BY prompt_version
+      `;
+
+      this.db.all(query, [], (err, rows) => {
+        if (err) {
+          console.error('[CacheService] Error counting prompt versions:', err);
+          resolve({});
+        } else {
+          resolve(Object.fromEntries(rows.map(row => [row.prompt_version, row.count])));
+        }
+      });
+    });
+  }
+
+  /**
+   * Remove every cached result produced by a prompt template version
+   */
+  async invalidatePromptVersion(promptVersion) {
+    for (const [key, data] of this.memoryCache.entries()) {
+      if (data.prompt_version === promptVersion) {
+        this.memoryCache.delete(key);
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      this.db.run(`DELETE FROM search_cache WHERE prompt_version = ?`, [promptVersion], function(err) {
+        if (err) {
+          console.error('[CacheService] Error invalidating prompt version:', err);
+          reject(err);
+        } else {
+          console.log(`[CacheService] Invalidated ${this.changes} entries from prompt ${promptVersion}`);
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  /**
+   * Live cache entries per portal dataset version (`unversioned` for entries cached before versioning)
+   */
+  async getDatasetVersionCounts() {
+    if (!this.isInitialized) return {};
+
+    return new Promise((resolve) => {
+      const query = `
+        SELECT COALESCE(dataset_version, 'unversioned') AS dataset_version, COUNT(*) AS count FROM search_cache
+        WHERE expires_at > datetime('now')
+        GROUP BY dataset_version
+      `;
+
+      this.db.all(query, [], (err, rows) => {
+        if (err) {
+          console.error('[CacheService] Error counting dataset versions:', err);
+          resolve({});
+        } else {
+          resolve(Object.fromEntries(rows.map(row => [row.dataset_version, row.count])));
+        }
+      });
+    });
+  }
+
+  /**
+   * Remove cached results built from an old portal dataset
+   * `{ version }` removes that version; `{ exceptVersion }` removes every other
+   * version, including entries cached before versioning
+   */
+  async invalidateDatasetVersion({ version = null, exceptVersion = null }) {
+    const stale = (data) => version ? data.dataset_version === version : data.dataset_version !== exceptVersion;
+    for (const [key, data] of this.memoryCache.entries()) {
+      if (stale(data)) {
+        this.memoryCache.delete(key);
+      }
+    }
+
+    const [condition, params] = version
+      ? ['dataset_version = ?', [version]]
+      : ['dataset_version IS NOT ?', [exceptVersion]];
+
+    return new Promise((resolve, reject) => {
+      this.db.run(`DELETE FROM search_cache WHERE ${condition}`, params, function(err) {
+        if (err) {
+          console.error('[CacheService] Error invalidating dataset version:', err);
+          reject(err);
+        } else {
+          console.log(`[CacheService] Invalidated ${this.changes} entries from dataset ${version || `versions other than ${exceptVersion}`}`);
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
   /**
    * Start background cleanup process
    */
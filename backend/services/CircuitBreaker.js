@@ -0,0 +1,121 @@
+/**
+ * CircuitBreaker - Stops calling the LLM upstream after repeated failures
+ * closed: calls pass through; open: calls are rejected until the cooldown ends;
+ * half_open: a single trial call decides whether to close or re-open.
+ */
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold ?? 5;
+    this.cooldownMs = options.cooldownMs ?? 30000;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.timesOpened = 0;
+    this.rejectedCalls = 0;
+  }
+
+  /**
+   * Whether calls are currently being refused (read-only, no trial is granted)
+   */
+  isOpen() {
+    if (this.state === 'open') {
+      return Date.now() - this.openedAt < this.cooldownMs;
+    }
+    return this.state === 'half_open' && this.trialInFlight;
+  }
+
+  /**
+   * Claim permission for a call; throws a `circuitOpen` error when refused
+   */
+  acquire() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half_open';
+      console.log('[CircuitBreaker] Cooldown elapsed, allowing a trial call');
+    }
+
+    if (this.state === 'closed') return;
+
+    if (this.state === 'half_open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return;
+    }
+
+    this.rejectedCalls++;
+    const error = new Error('LLM upstream circuit is open');
+    error.circuitOpen = true;
+    error.retryAfterMs = this.retryAfterMs();
+    throw error;
+  }
+
+  /**
+   * Record a successful call
+   */
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      console.log('[CircuitBreaker] Trial call succeeded, closing circuit');
+    }
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.trialInFlight = false;
+    this.openedAt = null;
+  }
+
+  /**
+   * Record a failed call, opening the circuit at the threshold or on a failed trial
+   */
+  recordFailure() {
+    this.consecutiveFailures++;
+
+    if (this.state === 'half_open' || this.consecutiveFailures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        this.timesOpened++;
+        console.warn(`[CircuitBreaker] Opening circuit after ${this.consecutiveFailures} consecutive failures`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+      this.trialInFlight = false;
+    }
+  }
+
+  /**
+   * Milliseconds until the next trial call is allowed
+   */
+  retryAfterMs() {
+    if (this.state !== 'open') return 0;
+    return Math.max(0, this.cooldownMs - (Date.now() - this.openedAt));
+  }
+
+  /**
+   * Status summary for health endpoints
+   */
+  getStatus() {
+    // Report an expired cooldown as half-open even before the next call arrives
+    const state = this.state === 'open' && this.retryAfterMs() === 0 ? 'half_open' : this.state;
+
+    return {
+      state: state,
+      consecutive_failures: this.consecutiveFailures,
+      failure_threshold: this.failureThreshold,
+      cooldown_ms: this.cooldownMs,
+      opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retry_after_ms: this.retryAfterMs(),
+      times_opened: this.timesOpened,
+      rejected_calls: this.rejectedCalls
+    };
+  }
+}
+
+/**
+ * Parse a non-negative whole number from the environment; unset or invalid values fall back
+ */
+function countFromEnv(value, fallback) {
+  const parsed = parseInt(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+// Shared breaker for the LLM upstream
+module.exports = new CircuitBreaker({
+  failureThreshold: countFromEnv(process.env.LLM_BREAKER_FAILURES, 5),
+  cooldownMs: countFromEnv(process.env.LLM_BREAKER_COOLDOWN_SECONDS, 30) * 1000
+});
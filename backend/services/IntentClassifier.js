@@ -0,0 +1,173 @@
+const statesData = require('../data/states.json');
+const portalMatcher = require('./portalMatcher');
+const promptGuard = require('./PromptGuard');
+const { STOP_WORDS, tokenize, stem } = require('./tokenizer');
+
+// Words that only say "take me to the (government) site" and carry no service meaning
+const NAVIGATION_WORDS = new Set([
+  'portal', 'website', 'site', 'official', 'online', 'login', 'page', 'web', 'homepage', 'url', 'app', 'govt', 'government'
+]);
+
+// Words asking how, what or when - these need the LLM's procedural answer
+const PROCEDURAL_WORDS = new Set([
+  'how', 'what', 'which', 'when', 'where', 'why', 'can', 'should',
+  'document', 'required', 'requirement', 'eligibility', 'eligible',
+  'fee', 'cost', 'charge', 'price', 'process', 'procedure', 'step', 'time', 'timeline', 'day',
+  'status', 'track', 'apply', 'application', 'renew', 'renewal', 'register', 'registration',
+  'correction', 'correct', 'update', 'change', 'download', 'lost', 'duplicate'
+]);
+
+// Topics people search for that no government portal answers
+const OFF_TOPIC_WORDS = new Set([
+  'weather', 'cricket', 'football', 'movie', 'movies', 'film', 'song', 'songs', 'music', 'recipe', 'cook', 'cooking',
+  'joke', 'jokes', 'poem', 'story', 'game', 'games', 'dating', 'girlfriend', 'boyfriend', 'horoscope',
+  'bitcoin', 'crypto', 'stock', 'stocks', 'celebrity', 'actor', 'actress', 'restaurant', 'hotel'
+]);
+
+// Minimum share of a keyword's words a query must cover to count as a portal lookup
+const NAVIGATIONAL_MIN_COVERAGE = 0.5;
+const NAVIGATIONAL_MAX_TOKENS = 3;
+
+const DECLINE_MESSAGE = 'Portal Finder can only help with Indian government services. Try searching for a service such as a passport, ration card or birth certificate.';
+
+/**
+ * IntentClassifier - Local, rule-based routing in front of the LLM
+ * - `navigational`: the query names a portal or service the dataset covers
+ *   ("passport", "digilocker", "pan aadhaar link") - answered from portalMatcher
+ * - `informational`: asks how/what/when or needs procedures - sent to the LLM
+ * - `off_topic`: names an unrelated subject and no government vocabulary - politely declined
+ */
+class IntentClassifier {
+  constructor() {
+    this.enabled = process.env.INTENT_CLASSIFIER !== 'false';
+    this.entries = this.buildIndex();
+    this.placeWords = new Set(Object.entries(statesData).flat(2).flatMap(name => tokenize(name).map(stem)));
+    this.stats = { navigational: 0, informational: 0, off_topic: 0 };
+
+    portalMatcher.onReload(() => {
+      this.entries = this.buildIndex();
+    });
+  }
+
+  /**
+   * Stemmed token sets of every keyword (portal names included), each pointing at its portal
+   */
+  buildIndex() {
+    const entries = [];
+    const add = (text, portal) => {
+      const tokens = new Set(tokenize(text).map(stem).filter(token => !NAVIGATION_WORDS.has(token) && !STOP_WORDS.has(token)));
+      if (tokens.size > 0) entries.push({ tokens, portal });
+    };
+
+    portalMatcher.keywordMap.forEach((portals, keyword) => {
+      portals.forEach(portal => add(keyword, portal));
+    });
+
+    this.vocabulary = new Set(entries.flatMap(entry => [...entry.tokens]));
+    return entries;
+  }
+
+  /**
+   * Portals whose keywords contain every core token, best coverage first
+   */
+  matchPortals(core, state, city) {
+    const location = portalMatcher.locationKeys(state, city);
+    const best = new Map(); // url -> { portal, coverage }
+
+    this.entries.forEach(({ tokens, portal }) => {
+      if (!portalMatcher.inScope(portal, location.state, location.city)) return;
+      if (!core.every(token => tokens.has(token))) return;
+
+      const coverage = core.length / tokens.size;
+      const existing = best.get(portal.url);
+      if (!existing || coverage > existing.coverage) {
+        best.set(portal.url, { portal, coverage });
+      }
+    });
+
+    return [...best.values()].sort((a, b) => {
+      // Prefer the searcher's own city portal, then their state's, when coverage ties
+      if (b.coverage !== a.coverage) return b.coverage - a.coverage;
+      const locality = (portal) => (portal.city ? 2 : portal.state ? 1 : 0);
+      return locality(b.portal) - locality(a.portal);
+    });
+  }
+
+  /**
+   * The portal vocabulary's spelling of a misspelt token ("adhar" -> "aadhaar")
+   * Words the classifier already knows or looks for are kept as typed
+   */
+  respell(token) {
+    if (this.vocabulary.has(token) || [STOP_WORDS, NAVIGATION_WORDS, PROCEDURAL_WORDS, OFF_TOPIC_WORDS].some(words => words.has(token))) {
+      return token;
+    }
+    const correction = portalMatcher.correctTerm(token);
+    return correction ? correction.term : token;
+  }
+
+  /**
+   * Classify a canonical (English) query
+   * Returns { intent, confidence, reason, portals } where portals are set for navigational queries
+   */
+  classify(query, state = null, city = null, limit = 3) {
+    const typed = tokenize(query).map(stem);
+    const tokens = typed.map(token => this.respell(token));
+    const meaningful = tokens.filter(token => !STOP_WORDS.has(token));
+    const core = meaningful.filter(token => !NAVIGATION_WORDS.has(token));
+    const latinOnly = /^[\x20-\x7E]*$/.test(query);
+    const result = (intent, confidence, reason, portals = []) => {
+      if (this.enabled) this.stats[intent]++;
+      return { intent, confidence, reason, portals };
+    };
+
+    if (!this.enabled) {
+      return result('informational', 0, 'classifier disabled');
+    }
+
+    // Off-topic needs positive evidence: an off-topic word and no government vocabulary
+    // Judged on the words as typed, so respelling can't turn "best pizza" into a portal word, and
+    // place names ("pune") don't count as service vocabulary. Anything else unfamiliar goes to the LLM
+    const typedCore = typed.filter(token => !STOP_WORDS.has(token) && !NAVIGATION_WORDS.has(token));
+    const knownWords = typedCore.filter(token => this.vocabulary.has(token) && !this.placeWords.has(token));
+    if (latinOnly && knownWords.length === 0 && !promptGuard.mentionsGovernment(query) &&
+        typedCore.some(token => OFF_TOPIC_WORDS.has(token))) {
+      return result('off_topic', 0.9, 'off-topic subject');
+    }
+
+    if (query.includes('?') || tokens.some(token => PROCEDURAL_WORDS.has(token))) {
+      return result('informational', 0.8, 'procedural question');
+    }
+
+    if (core.length > 0 && core.length <= NAVIGATIONAL_MAX_TOKENS) {
+      const matches = this.matchPortals(core, state, city);
+      if (matches.length > 0 && matches[0].coverage >= NAVIGATIONAL_MIN_COVERAGE) {
+        const portals = matches.slice(0, limit).map(({ portal, coverage }) => ({
+          portal_link: portal.url,
+          portal_description: portal.description,
+          portal_name: portal.name,
+          administrative_level: portalMatcher.administrativeLevel(portal),
+          relevance_score: parseFloat(coverage.toFixed(3))
+        }));
+        return result('navigational', matches[0].coverage, 'names a portal in the dataset', portals);
+      }
+    }
+
+    return result('informational', 0.5, 'needs service details');
+  }
+
+  /**
+   * Reply for an off-topic query
+   */
+  declineMessage() {
+    return DECLINE_MESSAGE;
+  }
+
+  /**
+   * Classification counts since server start
+   */
+  getStats() {
+    return { enabled: this.enabled, ...this.stats };
+  }
+}
+
+module.exports = new IntentClassifier();
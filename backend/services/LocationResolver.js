@@ -0,0 +1,169 @@
+const statesData = require('../data/states.json');
+const locationAliases = require('../data/location_aliases.json');
+const portalMatcher = require('./portalMatcher');
+
+// Close matches listed in an error, and how similar a name must be to be listed
+const MAX_SUGGESTIONS = 3;
+const MIN_SIMILARITY = 0.6;
+
+/**
+ * Comparison key for a place name: case, the capital asterisk, punctuation
+ * and "&" vs "and" don't matter
+ */
+function placeKey(name) {
+  return String(name)
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/\*/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+/**
+ * Display name from states.json without the asterisk that marks capitals
+ */
+function displayName(name) {
+  return name.replace(/\*/g, '').trim();
+}
+
+/**
+ * LocationResolver - Validates states and cities against `states.json`
+ * - Resolves case, the capital asterisk and known aliases ("Orissa", "Bangalore")
+ *   to one canonical name, so cache keys and prompts stay consistent
+ * - Unknown names produce an error listing the closest known names
+ */
+class LocationResolver {
+  constructor() {
+    this.states = this.buildIndex(statesData, locationAliases);
+  }
+
+  /**
+   * state key -> { name, cities: Map(key -> city), aliases: Map(alias key -> city) },
+   * plus every state alias pointing at its state. Dataset entries that are themselves
+   * aliases (the "Karnatka" typo) are merged into their canonical state.
+   */
+  buildIndex(data, aliases) {
+    const stateAliases = new Map();
+    Object.entries(aliases.states || {}).forEach(([state, names]) => {
+      names.forEach(alias => stateAliases.set(placeKey(alias), state));
+    });
+
+    const states = new Map();
+    const entryFor = (name) => {
+      const key = placeKey(name);
+      if (!states.has(key)) {
+        states.set(key, { name, cities: new Map(), aliases: new Map() });
+      }
+      return states.get(key);
+    };
+
+    Object.entries(data).forEach(([stateName, cities]) => {
+      const canonical = stateAliases.get(placeKey(stateName)) || stateName;
+      const entry = entryFor(canonical);
+      cities.forEach(city => entry.cities.set(placeKey(city), displayName(city)));
+    });
+
+    Object.entries(aliases.cities || {}).forEach(([stateName, cities]) => {
+      const entry = entryFor(stateName);
+      Object.entries(cities).forEach(([city, names]) => {
+        names.forEach(alias => entry.aliases.set(placeKey(alias), city));
+      });
+    });
+
+    stateAliases.forEach((state, key) => {
+      if (!states.has(key) && states.has(placeKey(state))) states.set(key, states.get(placeKey(state)));
+    });
+    return states;
+  }
+
+  /**
+   * Canonical state names, in dataset order
+   */
+  stateNames() {
+    return [...new Set([...this.states.values()].map(entry => entry.name))];
+  }
+
+  /**
+   * Known names most similar to `value` (aliases count, but the canonical name is listed)
+   */
+  closeMatches(value, candidates) {
+    const key = placeKey(value);
+    const best = new Map(); // canonical name -> similarity
+
+    candidates.forEach(([candidateKey, name]) => {
+      const similarity = candidateKey.startsWith(key) || key.startsWith(candidateKey)
+        ? Math.max(0.8, portalMatcher.calculateSimilarity(key, candidateKey))
+        : portalMatcher.calculateSimilarity(key, candidateKey);
+      if (similarity >= MIN_SIMILARITY && similarity > (best.get(name) || 0)) {
+        best.set(name, similarity);
+      }
+    });
+
+    return [...best.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_SUGGESTIONS)
+      .map(([name]) => name);
+  }
+
+  /**
+   * Error body for an unknown name, with "Did you mean" when something is close
+   */
+  unknown(message, suggestions) {
+    return {
+      error: suggestions.length > 0 ? `${message}. Did you mean: ${suggestions.join(', ')}?` : message,
+      suggestions
+    };
+  }
+
+  /**
+   * Returns { state } with the canonical name, or { error, suggestions }
+   */
+  resolveState(value) {
+    const entry = this.states.get(placeKey(value));
+    if (entry) return { state: entry.name };
+
+    const candidates = [...this.states.entries()].map(([key, state]) => [key, state.name]);
+    return this.unknown(`Unknown state "${value}"`, this.closeMatches(value, candidates));
+  }
+
+  /**
+   * Returns { city } with the canonical name within `state` (already canonical),
+   * or { error, suggestions }
+   */
+  resolveCity(state, value) {
+    const entry = this.states.get(placeKey(state));
+    const key = placeKey(value);
+    const city = entry.cities.get(key) || entry.aliases.get(key);
+    if (city) return { city };
+
+    // A known city in the wrong state gets a more useful hint than spelling suggestions
+    const elsewhere = this.stateNames().filter(name => {
+      const other = this.states.get(placeKey(name));
+      return other !== entry && (other.cities.has(key) || other.aliases.has(key));
+    });
+    const candidates = [...entry.cities.entries(), ...entry.aliases.entries()];
+    const message = elsewhere.length > 0
+      ? `"${value}" is not a city in ${state} (found in ${elsewhere.join(', ')})`
+      : `Unknown city "${value}" in ${state}`;
+    return this.unknown(message, this.closeMatches(value, candidates));
+  }
+
+  /**
+   * Canonicalize the state and city of a resolved search scope
+   * Either may be null; returns { state, city } or { error, suggestions }
+   */
+  resolve({ state, city }) {
+    if (!state) return { state: null, city: null };
+
+    const resolvedState = this.resolveState(state);
+    if (resolvedState.error) return resolvedState;
+    if (!city) return { state: resolvedState.state, city: null };
+
+    const resolvedCity = this.resolveCity(resolvedState.state, city);
+    if (resolvedCity.error) return resolvedCity;
+    return { state: resolvedState.state, city: resolvedCity.city };
+  }
+}
+
+module.exports = new LocationResolver();
@@ -0,0 +1,219 @@
+const verifiedContacts = require('../data/verified_contacts.json');
+const portalMatcher = require('./portalMatcher');
+
+// Government domains whose links are always kept (the domain itself or any subdomain)
+const GOVERNMENT_DOMAIN_SUFFIXES = ['gov.in', 'nic.in'];
+
+// Fields added from the curated dataset rather than by the model
+const DATASET_FIELDS = ['portal_link', 'portal_name', 'portal_description', 'portal_level', 'portal_links', 'portal_confidence'];
+
+// Fields that make checkable claims about where to go or whom to call
+const CHECKED_FIELDS = ['office', 'location', 'contact'];
+
+// Links with a scheme or www. in any case, or lowercase bare domains on common TLDs; emails are skipped
+// Bare domains are matched in lowercase only, so sentence joins like "office.In case" are left alone
+const URL_PATTERN = /(?<![@\w.-])(?:(?:[hH][tT][tT][pP][sS]?:\/\/|[wW][wW][wW]\.)[^\s<>"')\],;]+|(?:[a-z0-9-]+\.)+(?:in|com|org|net|info|io|co)\b(?:\/[^\s<>"')\],;]*)?)/g;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const PHONE_PATTERN = /\+?\d[\d\s-]*\d/g;
+
+/**
+ * Host name of a URL without `www.`, or null if it can't be parsed
+ */
+function hostOf(url) {
+  try {
+    const parsed = new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`);
+    return parsed.hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Digits of a phone number in a comparable form: no country code or trunk prefix
+ */
+function normalizePhone(text) {
+  let digits = text.replace(/\D/g, '');
+  if (digits.length > 10 && digits.startsWith('91')) digits = digits.slice(2);
+  return digits.replace(/^0+/, '');
+}
+
+/**
+ * OutputGuardrails - Post-processing of LLM-generated service cards
+ * - Drops links outside government domains and the curated portal dataset
+ * - Cross-checks offices, addresses and contacts against curated data
+ * - Tags every field with its provenance so the UI can flag what to verify:
+ *   `dataset` (curated), `verified` (model text confirmed by curated data),
+ *   `unverified` (a specific claim we couldn't confirm) or `ai` (other model text)
+ */
+class OutputGuardrails {
+  constructor() {
+    this.allowedHosts = this.collectDatasetHosts(portalMatcher.portals);
+    this.allowedSuffixes = [
+      ...GOVERNMENT_DOMAIN_SUFFIXES,
+      ...(process.env.GUARDRAIL_ALLOWED_DOMAINS || '').split(',').map(domain => domain.trim().toLowerCase()).filter(Boolean)
+    ];
+    this.contacts = this.indexContacts(verifiedContacts);
+    this.stats = {
+      services_checked: 0,
+      links_removed: 0,
+      unverified_fields: Object.fromEntries(CHECKED_FIELDS.map(field => [field, 0]))
+    };
+
+    // Links to portals added by a dataset reload are allowed straight away
+    portalMatcher.onReload(() => {
+      this.allowedHosts = this.collectDatasetHosts(portalMatcher.portals);
+    });
+  }
+
+  /**
+   * Hosts of every portal URL in the dataset
+   */
+  collectDatasetHosts(data) {
+    const hosts = new Set();
+    const walk = (node) => {
+      if (!node || typeof node !== 'object') return;
+      if (typeof node.url === 'string' && hostOf(node.url)) hosts.add(hostOf(node.url));
+      Object.values(node).forEach(walk);
+    };
+    walk(data);
+    return hosts;
+  }
+
+  /**
+   * Normalized phones, emails and office names per portal host
+   */
+  indexContacts(data) {
+    const index = (entry) => ({
+      phones: new Set((entry.phones || []).map(normalizePhone)),
+      emails: new Set((entry.emails || []).map(email => email.toLowerCase())),
+      offices: (entry.offices || []).map(office => office.toLowerCase())
+    });
+
+    return {
+      national: index(data.national || {}),
+      portals: new Map(Object.entries(data.portals || {}).map(([host, entry]) => [host, index(entry)]))
+    };
+  }
+
+  /**
+   * Whether a link may be shown to users
+   */
+  isAllowedUrl(url) {
+    const host = hostOf(url);
+    if (!host) return false;
+    if (this.allowedHosts.has(host)) return true;
+    return this.allowedSuffixes.some(suffix => host === suffix || host.endsWith(`.${suffix}`));
+  }
+
+  /**
+   * Remove disallowed links from a piece of text, collecting what was removed
+   */
+  stripLinks(text, removed) {
+    const cleaned = text.replace(URL_PATTERN, (url) => {
+      if (this.isAllowedUrl(url)) return url;
+      removed.push(url);
+      return '';
+    });
+
+    return cleaned === text ? text : cleaned.replace(/\s{2,}/g, ' ').replace(/\s+([.,;:])/g, '$1').trim();
+  }
+
+  /**
+   * Curated contacts for the portals a service card links to, plus the national list
+   */
+  contactsFor(service) {
+    const hosts = (service.portal_links || [{ portal_link: service.portal_link }])
+      .map(portal => hostOf(portal.portal_link || ''))
+      .filter(Boolean);
+
+    const entries = [this.contacts.national, ...hosts.map(host => this.contacts.portals.get(host)).filter(Boolean)];
+    return {
+      phones: new Set(entries.flatMap(entry => [...entry.phones])),
+      emails: new Set(entries.flatMap(entry => [...entry.emails])),
+      offices: entries.flatMap(entry => entry.offices)
+    };
+  }
+
+  /**
+   * A contact is verified when it gives at least one phone number or email
+   * and every one of them appears in the curated contacts
+   */
+  isVerifiedContact(text, curated) {
+    const phones = (text.match(PHONE_PATTERN) || []).map(normalizePhone).filter(digits => digits.length >= 4);
+    const emails = (text.match(EMAIL_PATTERN) || []).map(email => email.toLowerCase());
+    if (phones.length + emails.length === 0) return false;
+
+    return phones.every(phone => curated.phones.has(phone)) && emails.every(email => curated.emails.has(email));
+  }
+
+  /**
+   * Offices and addresses are verified when they name a curated office and
+   * carry no specifics of their own (street numbers, PIN codes)
+   */
+  isVerifiedPlace(text, curated) {
+    const lower = text.toLowerCase();
+    return !/\d/.test(text) && curated.offices.some(office => new RegExp(`\\b${office.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(lower));
+  }
+
+  /**
+   * Apply the guardrails to an AI-generated service card that already has its portal info attached
+   */
+  check(service) {
+    const checked = { ...service };
+    const provenance = {};
+    const removedLinks = [];
+    const curated = this.contactsFor(service);
+
+    Object.entries(service).forEach(([field, value]) => {
+      if (DATASET_FIELDS.includes(field)) {
+        provenance[field] = 'dataset';
+        return;
+      }
+
+      if (typeof value === 'string') {
+        checked[field] = this.stripLinks(value, removedLinks);
+      } else if (Array.isArray(value)) {
+        checked[field] = value
+          .map(item => (typeof item === 'string' ? this.stripLinks(item, removedLinks) : item))
+          .filter(item => item !== '');
+      } else {
+        return;
+      }
+
+      provenance[field] = 'ai';
+    });
+
+    CHECKED_FIELDS.forEach(field => {
+      const value = checked[field];
+      if (typeof value !== 'string' || value === '') return;
+
+      const verified = field === 'contact' ? this.isVerifiedContact(value, curated) : this.isVerifiedPlace(value, curated);
+      provenance[field] = verified ? 'verified' : 'unverified';
+      if (!verified) this.stats.unverified_fields[field]++;
+    });
+
+    this.stats.services_checked++;
+    this.stats.links_removed += removedLinks.length;
+    if (removedLinks.length > 0) {
+      console.warn(`[Guardrails] Removed ${removedLinks.length} unlisted link(s) from "${service.title}": ${removedLinks.join(', ')}`);
+    }
+
+    return {
+      ...checked,
+      provenance: provenance,
+      ...(removedLinks.length > 0 ? { removed_links: removedLinks } : {})
+    };
+  }
+
+  /**
+   * Guardrail counters since server start
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      unverified_fields: { ...this.stats.unverified_fields }
+    };
+  }
+}
+
+module.exports = new OutputGuardrails();
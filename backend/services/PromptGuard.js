@@ -0,0 +1,177 @@
+// Longest accepted user inputs, in characters after sanitizing
+const MAX_QUERY_LENGTH = parseInt(process.env.MAX_QUERY_LENGTH) || 200;
+const MAX_LOCATION_LENGTH = 60;
+
+// Input that tries to take over the prompt; these requests are refused
+const INJECTION_PATTERNS = [
+  /\b(?:ignore|disregard|forget|override|bypass)\b.{0,40}\b(?:instructions?|prompts?|rules|guidelines|directions|context)\b/i,
+  /\b(?:system|developer)\s+(?:prompt|message|mode|instructions?)\b/i,
+  /<\|?\/?\s*(?:im_start|im_end|system|assistant|user)\s*\|?>|\[\/?INST\]/i,
+  /(?:^|\n)\s*(?:system|assistant)\s*:/i,
+  /\byou\s+are\s+(?:now|no\s+longer)\b/i,
+  /\b(?:jailbreak|DAN\s+mode)\b/i
+];
+
+// Instruction-like clauses a genuine search can still contain; these are cut out
+const NEUTRALIZE_PATTERNS = [
+  /\b(?:respond|reply|answer|output|return|print|say|write)\s+(?:only\s+)?(?:with|exactly|the\s+following|as)\b[^.?!]*/gi,
+  /\b(?:act|behave|pose)\s+as\b[^.?!]*/gi,
+  /\bpretend\b[^.?!]*/gi,
+  /\bnew\s+instructions?\b[^.?!]*/gi
+];
+
+// Phrases that show a completion followed injected instructions instead of answering
+const OUTPUT_INJECTION_MARKERS = [
+  /\bignor(?:e|ing)\s+(?:all\s+)?(?:previous|prior|above)\s+instructions\b/i,
+  /\bas\s+an\s+ai\s+(?:language\s+)?model\b/i,
+  /\bsystem\s+prompt\b/i,
+  /\bjailbr(?:oken|eak)\b/i
+];
+
+// Vocabulary that a card about a government service uses somewhere in its text
+const GOVERNMENT_TERMS = /\b(?:gov(?:ernment|t)?|ministry|department|dept|office|portal|scheme|yojana|mission|certificate|card|licen[cs]e|registration|register|enrol(?:l?ment)?|application|apply|renewal|permit|tax|pension|subsidy|benefit|welfare|insurance|scholarship|passport|aadhaa?r|pan|voter|election|ration|municipal|corporation|panchayat|court|police|rto|tehsil|collector|district|state|central|public|citizen|document|verification|grievance|helpline|kendra|seva)\b/i;
+
+/**
+ * PromptGuard - Keeps user input from steering the LLM
+ * - Sanitizes user text (control and invisible characters, prompt delimiters)
+ *   and enforces length limits
+ * - Refuses instruction-like input and cuts milder instruction clauses out
+ * - Checks generated services are still about government services before they
+ *   are shown or cached
+ */
+class PromptGuard {
+  constructor() {
+    this.maxQueryLength = MAX_QUERY_LENGTH;
+    this.stats = {
+      inputs_rejected: 0,
+      inputs_neutralized: 0,
+      services_off_topic: 0
+    };
+  }
+
+  /**
+   * Normalize user text so it can't break out of its prompt delimiters
+   * Zero-width joiners are kept because Indic scripts need them
+   */
+  sanitize(text) {
+    return String(text)
+      .normalize('NFC')
+      .replace(/[\u0000-\u001F\u007F\u200B\u2060\uFEFF\u202A-\u202E\u2066-\u2069]/g, ' ')
+      .replace(/[<>{}`]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Sanitize and classify one piece of user text
+   * `expected` describes what the field should contain, for error messages.
+   * Returns { text, neutralized } or { error }
+   */
+  screenText(value, field, maxLength, expected = 'a search for a government service') {
+    const text = this.sanitize(value);
+    const refusal = { error: `The ${field} looks like instructions rather than ${expected}` };
+
+    if (text.length > maxLength) {
+      return { error: `${field} is too long (max ${maxLength} characters)` };
+    }
+
+    // Role markers such as <|im_start|> lose their brackets when sanitized, so check the raw text too
+    const raw = String(value).normalize('NFC');
+    if (INJECTION_PATTERNS.some(pattern => pattern.test(raw) || pattern.test(text))) {
+      this.stats.inputs_rejected++;
+      console.warn(`[PromptGuard] Rejected instruction-like ${field}: "${text}"`);
+      return refusal;
+    }
+
+    const neutralized = NEUTRALIZE_PATTERNS
+      .reduce((current, pattern) => current.replace(pattern, ' '), text)
+      .replace(/\s+/g, ' ')
+      .replace(/[\s,;:.-]+$/, '')
+      .trim();
+
+    if (neutralized === text) {
+      return { text, neutralized: false };
+    }
+
+    this.stats.inputs_neutralized++;
+    console.warn(`[PromptGuard] Removed instructions from ${field}: "${text}" -> "${neutralized}"`);
+
+    if (!/\p{L}/u.test(neutralized)) {
+      this.stats.inputs_rejected++;
+      return refusal;
+    }
+    return { text: neutralized, neutralized: true };
+  }
+
+  /**
+   * Screen the user-supplied parts of a search request
+   * Returns { query, state, city, neutralized } or { error }; state and city stay
+   * undefined when they weren't sent
+   */
+  screen({ query, state, city } = {}) {
+    if (query === undefined || query === null || this.sanitize(query) === '') {
+      return { error: "Missing required field: query" };
+    }
+
+    const screened = { neutralized: false };
+    const fields = [['query', query, this.maxQueryLength], ['state', state, MAX_LOCATION_LENGTH], ['city', city, MAX_LOCATION_LENGTH]];
+
+    for (const [field, value, maxLength] of fields) {
+      if (value === undefined || value === null) continue;
+
+      const expected = field === 'query' ? undefined : 'a place name';
+      const result = this.screenText(value, field, maxLength, expected);
+      if (result.error) return result;
+
+      // Locations are names, so any instruction-like content means the field is bogus
+      if (field !== 'query' && result.neutralized) {
+        return { error: `The ${field} looks like instructions rather than ${expected}` };
+      }
+
+      screened[field] = result.text;
+      screened.neutralized = screened.neutralized || result.neutralized;
+    }
+
+    return screened;
+  }
+
+  /**
+   * Whether text uses any government-service vocabulary
+   */
+  mentionsGovernment(text) {
+    return GOVERNMENT_TERMS.test(text);
+  }
+
+  /**
+   * Whether a generated service card is still about a government service
+   * Cards in non-Latin scripts are only checked for injection markers
+   */
+  isOnTopic(service) {
+    const text = Object.values(service)
+      .filter(value => typeof value === 'string' || Array.isArray(value))
+      .map(value => (Array.isArray(value) ? value.join(' ') : value))
+      .join(' ');
+
+    if (OUTPUT_INJECTION_MARKERS.some(pattern => pattern.test(text))) return false;
+
+    const latinText = /[A-Za-z]/.test(text) && !/[^\u0000-\u024F\u2000-\u206F\u20B9]/.test(text);
+    return !latinText || this.mentionsGovernment(text);
+  }
+
+  /**
+   * Record a service card dropped by `isOnTopic`
+   */
+  recordOffTopic(service) {
+    this.stats.services_off_topic++;
+    console.warn(`[PromptGuard] Dropped off-topic service "${service.title}"`);
+  }
+
+  /**
+   * Screening counters since server start
+   */
+  getStats() {
+    return { ...this.stats, max_query_length: this.maxQueryLength };
+  }
+}
+
+module.exports = new PromptGuard();
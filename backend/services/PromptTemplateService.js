@@ -0,0 +1,364 @@
+const fs = require('fs');
+const path = require('path');
+const cacheService = require('./CacheService');
+const queryTranslator = require('./QueryTranslator');
+const searchScope = require('./SearchScope');
+
+// Variables every template can use
+const COMMON_VARIABLES = {
+  query: 'Search query in canonical English',
+  typed_as: 'Note with the original wording when the query was translated, otherwise empty',
+  scope: 'Search scope: national, state or city',
+  location: 'Searched location, e.g. "Pune, Maharashtra" or "India (nationwide)"',
+  state: 'Selected state, empty for national searches',
+  city: 'Selected city, empty for state or national searches',
+  scope_instruction: 'Instruction describing which offices and contacts to provide for the scope',
+  office_hint: 'Example "office" value for the JSON format',
+  address_hint: 'Example "location" value for the JSON format',
+  contact_hint: 'Example "contact" value for the JSON format',
+  portal_name: 'Best matching portal from the dataset',
+  portal_link: 'URL of the best matching portal',
+  response_language: 'Language code replies should be written in',
+  language_instruction: 'Instruction line asking for the response language, empty for English'
+};
+
+// Templates the application renders; version 1 of each is the built-in file
+const TEMPLATE_DEFINITIONS = {
+  search: {
+    file: 'search.txt',
+    description: 'Prompt for a new search',
+    variables: COMMON_VARIABLES
+  },
+  follow_up: {
+    file: 'follow_up.txt',
+    description: 'Prompt for a follow-up question within a session',
+    variables: {
+      ...COMMON_VARIABLES,
+      conversation: 'Earlier query, matched portals, shown services and follow-ups',
+      question: 'The follow-up question as typed'
+    }
+  }
+};
+
+const MAX_TEMPLATE_LENGTH = 20000;
+
+// Description of versions seeded from the shipped template files
+const BUILT_IN_DESCRIPTION = 'Built-in template';
+
+const VARIABLE_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * PromptTemplateService - Named, versioned LLM prompt templates
+ * Templates use {{variable}} placeholders. Versions are immutable: editing a
+ * template saves a new version, and one version per template is active.
+ * Versions are stored in the cache database; the shipped files are saved as a
+ * new version whenever they change and are used whenever the database is unavailable.
+ */
+class PromptTemplateService {
+  constructor() {
+    this.builtIn = {};
+    this.active = new Map(); // name -> { version, template }
+    this.loadBuiltInTemplates();
+  }
+
+  get db() {
+    return cacheService.db;
+  }
+
+  isAvailable() {
+    return cacheService.isInitialized;
+  }
+
+  /**
+   * Read the built-in templates shipped with the code
+   */
+  loadBuiltInTemplates() {
+    Object.entries(TEMPLATE_DEFINITIONS).forEach(([name, definition]) => {
+      const filePath = path.join(__dirname, '../data/prompts', definition.file);
+      this.builtIn[name] = fs.readFileSync(filePath, 'utf8').replace(/\n$/, '');
+    });
+  }
+
+  /**
+   * Seed the built-in templates and load the active versions
+   * Call after the cache database is initialized
+   */
+  async initialize() {
+    if (!this.isAvailable()) return;
+
+    try {
+      for (const name of Object.keys(TEMPLATE_DEFINITIONS)) {
+        await this.seedBuiltIn(name);
+      }
+
+      await this.loadActiveVersions();
+    } catch (error) {
+      console.error('[PromptTemplates] Failed to load templates, using built-in versions:', error);
+      return;
+    }
+
+    console.log(`[PromptTemplates] Active versions: ${[...this.active.entries()].map(([name, t]) => `${name}@${t.version}`).join(', ')}`);
+  }
+
+  /**
+   * Save the shipped template as a new version when its text changed
+   * It only becomes active if the active version is also a built-in one, so an
+   * admin's own edits stay in use until they choose to switch
+   */
+  async seedBuiltIn(name) {
+    const text = this.builtIn[name];
+    const existing = await this.get(`SELECT version FROM prompt_templates WHERE name = ? AND template = ?`, [name, text]);
+    if (existing) return;
+
+    const active = await this.get(`SELECT description FROM prompt_templates WHERE name = ? AND is_active = 1`, [name]);
+    const saved = await this.createVersion(name, text, BUILT_IN_DESCRIPTION);
+
+    if (!active || active.description === BUILT_IN_DESCRIPTION) {
+      await this.activate(name, saved.version);
+    }
+  }
+
+  /**
+   * Refresh the in-memory copy of each template's active version
+   */
+  async loadActiveVersions() {
+    const rows = await this.all(`SELECT name, version, template FROM prompt_templates WHERE is_active = 1`);
+    this.active.clear();
+    rows.forEach(row => this.active.set(row.name, { version: row.version, template: row.template }));
+  }
+
+  /**
+   * Promise wrappers around the sqlite callbacks; errors reject so admin routes can report them
+   */
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ changes: this.changes, lastID: this.lastID });
+      });
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+  }
+
+  get(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    });
+  }
+
+  /**
+   * Whether `name` is a template the application renders
+   */
+  isKnown(name) {
+    return Object.prototype.hasOwnProperty.call(TEMPLATE_DEFINITIONS, name);
+  }
+
+  /**
+   * Version number currently used for a template
+   */
+  activeVersion(name) {
+    return (this.active.get(name) || { version: 1 }).version;
+  }
+
+  /**
+   * Label stored with cached results, e.g. `search@3`
+   */
+  versionLabel(name, version) {
+    return `${name}@${version}`;
+  }
+
+  /**
+   * Fill a template's placeholders in a single pass, so variable values that
+   * happen to contain {{...}} are never expanded themselves
+   */
+  fill(template, variables) {
+    return template.replace(VARIABLE_PATTERN, (match, key) => {
+      const value = variables[key];
+      return value === null || value === undefined ? '' : String(value);
+    });
+  }
+
+  /**
+   * Render the active version of a template
+   * Returns { prompt, version } where version is the label to store with results
+   */
+  render(name, variables) {
+    const active = this.active.get(name) || { version: 1, template: this.builtIn[name] };
+    return {
+      prompt: this.fill(active.template, variables),
+      version: this.versionLabel(name, active.version)
+    };
+  }
+
+  /**
+   * Problems that prevent a template from being saved
+   */
+  validate(name, template) {
+    const errors = [];
+
+    if (typeof template !== 'string' || template.trim() === '') {
+      return ['Template text is required'];
+    }
+    if (template.length > MAX_TEMPLATE_LENGTH) {
+      errors.push(`Template is longer than ${MAX_TEMPLATE_LENGTH} characters`);
+    }
+
+    const allowed = TEMPLATE_DEFINITIONS[name].variables;
+    const unknown = [...new Set([...template.matchAll(VARIABLE_PATTERN)].map(match => match[1]))]
+      .filter(variable => !allowed[variable]);
+    if (unknown.length > 0) {
+      errors.push(`Unknown variables: ${unknown.join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Prompt wording for the search scope: city searches ask for local offices,
+   * state searches for state departments and national searches for central services
+   */
+  scopeVariables(state, city) {
+    if (city) {
+      return {
+        location: `${city}, ${state}`,
+        scope_instruction: `Provide specific office locations and contact information for ${city}, ${state}`,
+        office_hint: `Government office/department in ${city}`,
+        address_hint: `Specific address in ${city}, ${state}`,
+        contact_hint: `Phone/email for ${city} office`
+      };
+    }
+
+    if (state) {
+      return {
+        location: `${state} (statewide)`,
+        scope_instruction: `Provide state-level departments and helplines for ${state}; say where district offices handle the service`,
+        office_hint: `State government department in ${state}`,
+        address_hint: `Head office in ${state}, or which district office to visit`,
+        contact_hint: `Phone/email for the ${state} department`
+      };
+    }
+
+    return {
+      location: 'India (nationwide)',
+      scope_instruction: 'Focus on central government services and national portals; give national helplines and how to find the nearest office',
+      office_hint: 'Central government ministry/department',
+      address_hint: 'Where to apply - online or the nearest office type',
+      contact_hint: 'National helpline or email'
+    };
+  }
+
+  /**
+   * Variables for the search template
+   * `translation` carries the user's original wording when the query was translated
+   */
+  searchVariables({ query, state, city, translation = null, responseLanguage = 'en', portal = null }) {
+    return {
+      query: query,
+      typed_as: translation && translation.method !== 'none' ? ` (typed by the user as <user_query>${translation.original}</user_query>)` : '',
+      scope: searchScope.resolve({ state, city }).scope,
+      state: state || '',
+      city: city || '',
+      ...this.scopeVariables(state, city),
+      portal_name: portal ? portal.portal_name : '',
+      portal_link: portal ? portal.portal_link : '',
+      response_language: responseLanguage,
+      language_instruction: queryTranslator.responseLanguageInstruction(responseLanguage)
+    };
+  }
+
+  /**
+   * Variables for the follow-up template
+   */
+  followUpVariables({ context, question, conversation, portal = null }) {
+    return {
+      ...this.searchVariables({
+        query: context.query,
+        state: context.state,
+        city: context.city,
+        responseLanguage: context.response_language,
+        portal: portal
+      }),
+      conversation: conversation,
+      question: question
+    };
+  }
+
+  /**
+   * All templates with their versions, for the admin panel
+   * `cachedCounts` maps version labels to live cache entries
+   */
+  async listTemplates(cachedCounts = {}) {
+    const rows = this.isAvailable()
+      ? await this.all(`SELECT name, version, description, is_active, created_at, activated_at FROM prompt_templates ORDER BY name, version DESC`)
+      : [];
+
+    return Object.entries(TEMPLATE_DEFINITIONS).map(([name, definition]) => {
+      const versions = rows.filter(row => row.name === name).map(row => ({
+        version: row.version,
+        description: row.description,
+        is_active: Boolean(row.is_active),
+        created_at: row.created_at,
+        activated_at: row.activated_at,
+        cached_results: cachedCounts[this.versionLabel(name, row.version)] || 0
+      }));
+
+      return {
+        name: name,
+        description: definition.description,
+        variables: definition.variables,
+        active_version: this.activeVersion(name),
+        versions: versions
+      };
+    });
+  }
+
+  /**
+   * Full text of one version, or null if it doesn't exist
+   */
+  async getVersion(name, version) {
+    if (!this.isAvailable()) {
+      return version === 1 ? { name, version: 1, template: this.builtIn[name], description: BUILT_IN_DESCRIPTION, is_active: true } : null;
+    }
+
+    const row = await this.get(`SELECT * FROM prompt_templates WHERE name = ? AND version = ?`, [name, version]);
+    return row ? { ...row, is_active: Boolean(row.is_active) } : null;
+  }
+
+  /**
+   * Save an edited template as the next version (inactive until activated)
+   */
+  async createVersion(name, template, description = '') {
+    const row = await this.get(`SELECT COALESCE(MAX(version), 0) + 1 AS next FROM prompt_templates WHERE name = ?`, [name]);
+
+    await this.run(`
+      INSERT INTO prompt_templates (name, version, template, description, is_active)
+      VALUES (?, ?, ?, ?, 0)
+    `, [name, row.next, template, description || '']);
+
+    console.log(`[PromptTemplates] Saved ${this.versionLabel(name, row.next)}`);
+    return this.getVersion(name, row.next);
+  }
+
+  /**
+   * Make a version the one used for new prompts
+   * Returns false when the version doesn't exist
+   */
+  async activate(name, version) {
+    const existing = await this.getVersion(name, version);
+    if (!existing) return false;
+
+    await this.run(`UPDATE prompt_templates SET is_active = 0 WHERE name = ? AND version != ?`, [name, version]);
+    await this.run(`UPDATE prompt_templates SET is_active = 1, activated_at = datetime('now') WHERE name = ? AND version = ?`, [name, version]);
+    this.active.set(name, { version: existing.version, template: existing.template });
+
+    console.log(`[PromptTemplates] Activated ${this.versionLabel(name, version)}`);
+    return true;
+  }
+}
+
+module.exports = new PromptTemplateService();
@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const cacheService = require('./CacheService');
+
+// Shipped profiles file; it is only read - admin edits are stored in the cache database
+const PROFILES_PATH = process.env.RANKING_PROFILES_PATH || path.join(__dirname, '../data/ranking_profiles.json');
+
+// ranking_settings key holding the admin's choice of active profile
+const ACTIVE_SETTING = 'active_profile';
+
+const PROFILE_NAME_PATTERN = /^[a-z0-9_-]{1,40}$/;
+const BOOST_NAME_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+// Weights every profile sets, and score component names boost groups can't reuse
+const REQUIRED_WEIGHTS = ['relevance', 'fuzzy_similarity', 'state_generic'];
+const RESERVED_COMPONENTS = new Set([...REQUIRED_WEIGHTS, 'own_city_portal', 'own_state_portal', 'own_state_service', 'verification_recency']);
+
+// Levels of the city layer a profile can boost; city_affinity is optional and missing levels count 0
+const CITY_LEVELS = ['municipal', 'district'];
+
+const isWeight = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * RankingProfileService - Named weight sets for portal ranking
+ * A profile sets the weight of each score component, the term groups that earn
+ * a boost ("popular_service"), the own-city and own-state boosts and how much a recently
+ * verified portal gains. One profile is active for searches; any profile can be
+ * used per request to compare rankings.
+ * The shipped file holds the defaults. Profiles saved by an admin and the active
+ * choice are stored in the cache database and win over the file, so edits survive
+ * redeploys; the file alone is used whenever the database is unavailable.
+ */
+class RankingProfileService {
+  constructor() {
+    const { active, profiles } = JSON.parse(fs.readFileSync(PROFILES_PATH, 'utf8'));
+
+    Object.entries(profiles).forEach(([name, profile]) => {
+      const errors = this.validate(name, profile);
+      if (errors.length > 0) {
+        throw new Error(`Invalid ranking profile "${name}" in ${PROFILES_PATH}: ${errors.join('; ')}`);
+      }
+    });
+    if (!profiles[active]) {
+      throw new Error(`Active ranking profile "${active}" is not defined in ${PROFILES_PATH}`);
+    }
+
+    this.profiles = new Map(Object.entries(profiles));
+    this.activeName = active;
+  }
+
+  get db() {
+    return cacheService.db;
+  }
+
+  isAvailable() {
+    return cacheService.isInitialized;
+  }
+
+  /**
+   * Promise wrappers around the sqlite callbacks; errors reject so admin routes can report them
+   */
+  run(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.run(sql, params, (err) => (err ? reject(err) : resolve()));
+    });
+  }
+
+  all(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      this.db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+  }
+
+  /**
+   * Apply the profiles and active choice saved by admins over the shipped ones
+   * Call after the cache database is initialized; stored profiles that no longer
+   * validate are skipped so a code change can't stop the server from starting
+   */
+  async initialize() {
+    if (!this.isAvailable()) return;
+
+    try {
+      const rows = await this.all(`SELECT name, definition FROM ranking_profiles`);
+      rows.forEach(({ name, definition }) => {
+        let profile;
+        try {
+          profile = JSON.parse(definition);
+        } catch (error) {
+          profile = null;
+        }
+        const errors = profile ? this.validate(name, profile) : ['definition is not JSON'];
+        if (errors.length > 0) {
+          console.error(`[RankingProfiles] Ignoring stored profile ${name}: ${errors.join('; ')}`);
+          return;
+        }
+        this.profiles.set(name, profile);
+      });
+
+      const [setting] = await this.all(`SELECT value FROM ranking_settings WHERE key = ?`, [ACTIVE_SETTING]);
+      if (setting && this.profiles.has(setting.value)) {
+        this.activeName = setting.value;
+      } else if (setting) {
+        console.error(`[RankingProfiles] Stored active profile ${setting.value} is not defined, using ${this.activeName}`);
+      }
+    } catch (error) {
+      console.error('[RankingProfiles] Failed to load stored profiles, using the shipped file:', error);
+      return;
+    }
+
+    console.log(`[RankingProfiles] Active profile: ${this.activeName} (${this.profiles.size} profiles)`);
+  }
+
+  /**
+   * Problems with a profile definition; an empty list means it can be used
+   */
+  validate(name, profile) {
+    if (!PROFILE_NAME_PATTERN.test(name)) {
+      return ['name must be 1-40 lowercase letters, digits, "_" or "-"'];
+    }
+    if (!isObject(profile)) {
+      return ['profile must be an object'];
+    }
+
+    const errors = [];
+    if (profile.description !== undefined && typeof profile.description !== 'string') {
+      errors.push('description must be text');
+    }
+    if (typeof profile.min_relevance !== 'number' || profile.min_relevance < 0 || profile.min_relevance > 1) {
+      errors.push('min_relevance must be a number from 0 to 1');
+    }
+
+    if (!isObject(profile.weights)) {
+      errors.push(`weights must set ${REQUIRED_WEIGHTS.join(', ')}`);
+    } else {
+      REQUIRED_WEIGHTS.filter(weight => !isWeight(profile.weights[weight]))
+        .forEach(weight => errors.push(`weights.${weight} must be a number of at least 0`));
+    }
+
+    if (!isObject(profile.boosted_terms)) {
+      errors.push('boosted_terms must map group names to { weight, terms }');
+    } else {
+      Object.entries(profile.boosted_terms).forEach(([group, boost]) => {
+        if (!BOOST_NAME_PATTERN.test(group) || RESERVED_COMPONENTS.has(group)) {
+          errors.push(`boosted_terms.${group}: group names are lowercase words and can't reuse ${[...RESERVED_COMPONENTS].join(', ')}`);
+        } else if (!isObject(boost) || !isWeight(boost.weight)) {
+          errors.push(`boosted_terms.${group}.weight must be a number of at least 0`);
+        } else if (!Array.isArray(boost.terms) || boost.terms.length === 0 || boost.terms.some(term => typeof term !== 'string' || !term.trim())) {
+          errors.push(`boosted_terms.${group}.terms must be a list of text`);
+        }
+      });
+    }
+
+    if (!isObject(profile.state_affinity) || !isWeight(profile.state_affinity.state_portal) || !isWeight(profile.state_affinity.state_service)) {
+      errors.push('state_affinity must set state_portal and state_service to numbers of at least 0');
+    }
+
+    if (profile.city_affinity !== undefined &&
+        (!isObject(profile.city_affinity) || Object.entries(profile.city_affinity).some(([level, weight]) => !CITY_LEVELS.includes(level) || !isWeight(weight)))) {
+      errors.push(`city_affinity may only set ${CITY_LEVELS.join(' and ')} to numbers of at least 0`);
+    }
+
+    if (!isObject(profile.verification) || !isWeight(profile.verification.weight) ||
+        typeof profile.verification.half_life_days !== 'number' || profile.verification.half_life_days <= 0) {
+      errors.push('verification must set weight (at least 0) and half_life_days (above 0)');
+    }
+
+    return errors;
+  }
+
+  /**
+   * A profile by name with its name attached, or null
+   */
+  get(name) {
+    const profile = this.profiles.get(name);
+    return profile ? { name, ...profile } : null;
+  }
+
+  /**
+   * The named profile, or the active one when no name is given
+   */
+  resolve(name = null) {
+    return this.get(name || this.activeName);
+  }
+
+  /**
+   * Every profile with its description and whether searches use it
+   */
+  list() {
+    return [...this.profiles.entries()].map(([name, profile]) => ({
+      name,
+      description: profile.description || '',
+      active: name === this.activeName
+    }));
+  }
+
+  /**
+   * Create or replace a profile in the database
+   * Returns { errors } when the definition is invalid
+   */
+  async save(name, profile) {
+    const errors = this.validate(name, profile);
+    if (errors.length > 0) return { errors };
+
+    await this.run(`
+      INSERT INTO ranking_profiles (name, definition) VALUES (?, ?)
+      ON CONFLICT(name) DO UPDATE SET definition = excluded.definition, updated_at = datetime('now')
+    `, [name, JSON.stringify(profile)]);
+    this.profiles.set(name, profile);
+    console.log(`[RankingProfiles] Saved profile ${name}`);
+    return { profile: this.get(name) };
+  }
+
+  /**
+   * Use a profile for every search from now on
+   */
+  async activate(name) {
+    if (!this.profiles.has(name)) return false;
+
+    await this.run(`
+      INSERT INTO ranking_settings (key, value) VALUES (?, ?)
+      ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = datetime('now')
+    `, [ACTIVE_SETTING, name]);
+    this.activeName = name;
+    console.log(`[RankingProfiles] Activated profile ${name}`);
+    return true;
+  }
+}
+
+module.exports = new RankingProfileService();
@@ -0,0 +1,350 @@
+const promptGuard = require('./PromptGuard');
+
+/**
+ * ResponseValidator - Schema validation and repair of LLM search output
+ * Features:
+ * - Response schema for the `services` array
+ * - Text repairs: code fences, surrounding prose, truncated JSON
+ * - Field coercion (e.g. `documents` given as a comma-separated string)
+ * - Drops cards that are not about a government service
+ * - Per-step counters so we can see how often the model misbehaves
+ */
+
+// Fields every service card expects; `required` fields must be non-empty
+const SERVICE_SCHEMA = {
+  title: { type: 'string', required: true },
+  description: { type: 'string', required: true },
+  office: { type: 'string' },
+  location: { type: 'string' },
+  documents: { type: 'array' },
+  timeline: { type: 'string' },
+  fees: { type: 'string' },
+  contact: { type: 'string' },
+  procedure: { type: 'string' },
+  category: { type: 'string' }
+};
+
+const REPAIR_STEPS = [
+  'strip_code_fences',
+  'extract_json_object',
+  'close_truncated_json',
+  'wrap_services_array',
+  'coerce_documents',
+  'coerce_field_types',
+  'drop_invalid_services',
+  'corrective_reprompt'
+];
+
+class ResponseValidator {
+  constructor() {
+    this.schema = SERVICE_SCHEMA;
+    this.stats = {
+      responses_checked: 0,
+      responses_repaired: 0,
+      responses_invalid: 0,
+      steps: Object.fromEntries(REPAIR_STEPS.map(step => [step, 0]))
+    };
+  }
+
+  /**
+   * Parse, repair and validate raw completion text
+   * Returns { valid, result, repairs, errors }
+   */
+  parse(content) {
+    const repairs = [];
+    const parsed = this.repairText(typeof content === 'string' ? content : '', repairs);
+
+    if (parsed === null) {
+      return { valid: false, result: null, repairs, errors: ['Response is not parseable JSON'] };
+    }
+
+    return this.validateResult(parsed, repairs);
+  }
+
+  /**
+   * Apply text-level repairs until the content parses as JSON
+   */
+  repairText(content, repairs) {
+    const direct = this.tryParse(content.trim());
+    if (direct !== undefined) return direct;
+
+    let text = content.trim();
+
+    // Strip ```json ... ``` fences (the closing fence may be cut off)
+    const fenceMatch = /```(?:json|JSON)?\s*([\s\S]*?)(?:```|$)/.exec(text);
+    if (fenceMatch) {
+      text = fenceMatch[1].trim();
+      repairs.push('strip_code_fences');
+
+      const unfenced = this.tryParse(text);
+      if (unfenced !== undefined) return unfenced;
+    }
+
+    // Drop any preamble or trailing prose around the first JSON value
+    const extracted = this.extractFirstJsonValue(text);
+    if (extracted === null) return null;
+
+    if (extracted.text !== text) {
+      repairs.push('extract_json_object');
+      text = extracted.text;
+    }
+
+    if (extracted.complete) {
+      const parsed = this.tryParse(text);
+      return parsed === undefined ? null : parsed;
+    }
+
+    // Completion was cut off (usually at max_tokens) - close what we can
+    const closed = this.closeTruncatedJson(text);
+    if (closed === null) return null;
+
+    repairs.push('close_truncated_json');
+    const parsed = this.tryParse(closed);
+    return parsed === undefined ? null : parsed;
+  }
+
+  /**
+   * JSON.parse that returns undefined instead of throwing
+   */
+  tryParse(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Find the first balanced JSON object or array in the text
+   * Returns { text, complete } or null when there is no JSON at all
+   */
+  extractFirstJsonValue(text) {
+    const start = text.search(/[{[]/);
+    if (start === -1) return null;
+
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+
+    for (let i = start; i < text.length; i++) {
+      const char = text[i];
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') inString = false;
+        continue;
+      }
+
+      if (char === '"') inString = true;
+      else if (char === '{' || char === '[') depth++;
+      else if (char === '}' || char === ']') {
+        depth--;
+        if (depth === 0) {
+          return { text: text.slice(start, i + 1), complete: true };
+        }
+      }
+    }
+
+    return { text: text.slice(start), complete: false };
+  }
+
+  /**
+   * Close JSON that was cut off mid-output
+   * A value string cut off part way is kept and closed ("documents": ["ID proof", "Addr);
+   * otherwise the text is cut back to the end of the last complete value. Either way the
+   * arrays and objects still open are closed. Returns null when nothing can be kept.
+   */
+  closeTruncatedJson(text) {
+    const stack = []; // open containers: { open, expectKey }
+    let inString = false;
+    let stringIsKey = false;
+    let escaped = false;
+    let lastSafe = null;
+
+    const closers = () => stack
+      .map(container => (container.open === '{' ? '}' : ']'))
+      .reverse()
+      .join('');
+    const markSafe = (index) => {
+      lastSafe = { index, closers: closers() };
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      const top = stack[stack.length - 1];
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (char === '\\') escaped = true;
+        else if (char === '"') {
+          inString = false;
+          if (!stringIsKey) markSafe(i + 1);
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        inString = true;
+        stringIsKey = Boolean(top && top.open === '{' && top.expectKey);
+      } else if (char === '{' || char === '[') {
+        stack.push({ open: char, expectKey: char === '{' });
+        markSafe(i + 1);
+      } else if (char === '}' || char === ']') {
+        stack.pop();
+        markSafe(i + 1);
+      } else if (char === ':' && top) {
+        top.expectKey = false;
+      } else if (char === ',' && top) {
+        // Whatever came before the comma (a number, true, false or null included) is complete
+        markSafe(i);
+        if (top.open === '{') top.expectKey = true;
+      }
+    }
+
+    // Cut off inside a value: close the string where it stops (a dangling escape is dropped)
+    if (inString && !stringIsKey) {
+      const kept = `${escaped ? text.slice(0, -1) : text}"${closers()}`;
+      if (this.tryParse(kept) !== undefined) return kept;
+    }
+
+    if (!lastSafe) return null;
+    return text.slice(0, lastSafe.index) + lastSafe.closers;
+  }
+
+  /**
+   * Validate parsed JSON against the services schema, coercing fields
+   */
+  validateResult(parsed, repairs) {
+    const errors = [];
+    let result = parsed;
+
+    // A bare array of services is still usable
+    if (Array.isArray(result)) {
+      result = { services: result };
+      repairs.push('wrap_services_array');
+    }
+
+    if (!result || typeof result !== 'object' || !Array.isArray(result.services)) {
+      return { valid: false, result: null, repairs, errors: ['Missing "services" array'] };
+    }
+
+    const services = [];
+    let dropped = 0;
+
+    result.services.forEach((service, index) => {
+      const normalized = this.normalizeService(service, repairs);
+      if (normalized.service) {
+        services.push(normalized.service);
+      } else {
+        dropped++;
+        errors.push(`services[${index}]: ${normalized.errors.join(', ')}`);
+      }
+    });
+
+    if (dropped > 0 && services.length > 0) {
+      repairs.push('drop_invalid_services');
+    }
+
+    if (services.length === 0) {
+      if (errors.length === 0) errors.push('"services" array is empty');
+      return { valid: false, result: null, repairs: this.unique(repairs), errors };
+    }
+
+    return { valid: true, result: { ...result, services }, repairs: this.unique(repairs), errors };
+  }
+
+  /**
+   * Normalize a single service object
+   * Returns { service, errors } where service is null when it cannot be used
+   */
+  normalizeService(service, repairs = []) {
+    if (!service || typeof service !== 'object' || Array.isArray(service)) {
+      return { service: null, errors: ['not an object'] };
+    }
+
+    const normalized = { ...service };
+    const errors = [];
+
+    Object.entries(this.schema).forEach(([field, rule]) => {
+      let value = normalized[field];
+
+      if (value === undefined || value === null) {
+        if (rule.required) errors.push(`missing ${field}`);
+        return;
+      }
+
+      if (rule.type === 'array' && !Array.isArray(value)) {
+        value = this.coerceToList(value);
+        repairs.push('coerce_documents');
+      } else if (rule.type === 'array') {
+        value = value.map(item => String(item).trim()).filter(Boolean);
+      } else if (rule.type === 'string' && typeof value !== 'string') {
+        value = Array.isArray(value) ? value.join('\n') : String(value);
+        repairs.push('coerce_field_types');
+      }
+
+      if (rule.required && typeof value === 'string' && value.trim() === '') {
+        errors.push(`empty ${field}`);
+      }
+
+      normalized[field] = value;
+    });
+
+    // A well-formed card can still be the model following instructions smuggled into the query
+    if (errors.length === 0 && !promptGuard.isOnTopic(normalized)) {
+      promptGuard.recordOffTopic(normalized);
+      errors.push('not about a government service');
+    }
+
+    return { service: errors.length === 0 ? normalized : null, errors };
+  }
+
+  /**
+   * Turn "Aadhaar, PAN; Photo" or a numbered list into an array of strings
+   */
+  coerceToList(value) {
+    return String(value)
+      .split(/[,;\n]|\s\d+\.\s/)
+      .map(item => item.replace(/^\s*(?:[-*•]|\d+\.)\s*/, '').trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Message asking the model to fix its own output
+   */
+  buildCorrectionPrompt(errors) {
+    return `Your previous response could not be used: ${errors.join('; ')}.
+Respond again with ONLY a single valid JSON object of the form {"services": [...]}.
+Each service must have non-empty "title" and "description" strings and "documents" must be an array of strings.
+Do not use code fences or add any text before or after the JSON.`;
+  }
+
+  /**
+   * Record the outcome of a parse for the repair statistics
+   */
+  recordOutcome(outcome) {
+    this.stats.responses_checked++;
+    if (!outcome.valid) this.stats.responses_invalid++;
+    if (outcome.repairs.length > 0) this.stats.responses_repaired++;
+    outcome.repairs.forEach(step => {
+      this.stats.steps[step] = (this.stats.steps[step] || 0) + 1;
+    });
+  }
+
+  /**
+   * Repair statistics since server start
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      steps: { ...this.stats.steps }
+    };
+  }
+
+  unique(list) {
+    return [...new Set(list)];
+  }
+}
+
+module.exports = new ResponseValidator();
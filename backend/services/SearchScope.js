@@ -0,0 +1,56 @@
+// Supported search scopes, broadest first
+const SCOPES = ['national', 'state', 'city'];
+
+/**
+ * SearchScope - Resolves how local a search is
+ * A search covers all of India (`national`), one state (`state`) or one city
+ * within a state (`city`). Missing location levels narrow the scope instead of
+ * failing the request.
+ */
+class SearchScope {
+  /**
+   * Resolve the scope, state and city of a request
+   * `scope` is optional and inferred from the most specific location given;
+   * an explicit broader scope drops the narrower levels. Returns
+   * { scope, state, city } or { error } when the combination is invalid.
+   */
+  resolve({ scope, state, city } = {}) {
+    const clean = (value) => (typeof value === 'string' && value.trim()) || null;
+    state = clean(state);
+    city = clean(city);
+    scope = clean(scope);
+
+    if (scope && !SCOPES.includes(scope.toLowerCase())) {
+      return { error: `Invalid scope "${scope}" (expected ${SCOPES.join(', ')})` };
+    }
+
+    if (city && !state) {
+      return { error: "A city search also needs its state" };
+    }
+
+    const resolved = scope ? scope.toLowerCase() : (city ? 'city' : state ? 'state' : 'national');
+
+    if (resolved === 'city' && !city) {
+      return { error: "Missing required fields for city scope: state, city" };
+    }
+    if (resolved === 'state' && !state) {
+      return { error: "Missing required field for state scope: state" };
+    }
+
+    return {
+      scope: resolved,
+      state: resolved === 'national' ? null : state,
+      city: resolved === 'city' ? city : null
+    };
+  }
+
+  /**
+   * Human-readable location for prompts and logs
+   */
+  label(state, city) {
+    if (city) return `${city}, ${state}`;
+    return state || 'India';
+  }
+}
+
+module.exports = new SearchScope();
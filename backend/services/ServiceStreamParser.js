@@ -0,0 +1,101 @@
+/**
+ * ServiceStreamParser - Incrementally extracts service objects from a
+ * streaming LLM completion of the form `{ "services": [ {...}, {...} ] }`.
+ * Each object is emitted as soon as its closing brace arrives, so the
+ * search route can forward services before the completion finishes.
+ */
+class ServiceStreamParser {
+  constructor() {
+    this.buffer = '';
+    this.position = 0;        // Next character to scan
+    this.arrayStart = -1;     // Index of the services array's opening bracket
+    this.depth = 0;           // Nesting depth relative to the services array
+    this.objectStart = -1;    // Start index of the service object being read
+    this.inString = false;
+    this.escaped = false;
+    this.services = [];
+  }
+
+  /**
+   * Feed a chunk of completion text and return any services it completed
+   */
+  push(chunk) {
+    this.buffer += chunk;
+    const completed = [];
+
+    if (this.arrayStart === -1 && !this.locateArray()) {
+      return completed;
+    }
+
+    for (; this.position < this.buffer.length; this.position++) {
+      const char = this.buffer[this.position];
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (char === '\\') {
+          this.escaped = true;
+        } else if (char === '"') {
+          this.inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        this.inString = true;
+      } else if (char === '{' || char === '[') {
+        if (this.depth === 1 && char === '{') {
+          this.objectStart = this.position;
+        }
+        this.depth++;
+      } else if (char === '}' || char === ']') {
+        this.depth--;
+        if (this.depth === 1 && char === '}' && this.objectStart !== -1) {
+          const service = this.parseObject(this.buffer.slice(this.objectStart, this.position + 1));
+          if (service) {
+            completed.push(service);
+            this.services.push(service);
+          }
+          this.objectStart = -1;
+        }
+      }
+    }
+
+    return completed;
+  }
+
+  /**
+   * Find the opening bracket of the services array once it has streamed in
+   */
+  locateArray() {
+    const match = /"services"\s*:\s*\[/.exec(this.buffer);
+    if (!match) return false;
+
+    this.arrayStart = match.index + match[0].length - 1;
+    this.position = this.arrayStart + 1;
+    this.depth = 1;
+    return true;
+  }
+
+  /**
+   * Parse a single service object, skipping malformed ones
+   */
+  parseObject(text) {
+    try {
+      const parsed = JSON.parse(text);
+      return parsed && typeof parsed === 'object' ? parsed : null;
+    } catch (error) {
+      console.warn('[ServiceStreamParser] Skipping malformed service object');
+      return null;
+    }
+  }
+
+  /**
+   * Full completion text received so far
+   */
+  getText() {
+    return this.buffer;
+  }
+}
+
+module.exports = ServiceStreamParser;
@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const cacheService = require('./CacheService');
+const searchScope = require('./SearchScope');
+
+// Prior turns kept in the prompt context for a follow-up
+const MAX_CONTEXT_TURNS = 5;
+
+/**
+ * SessionService - Server-side conversation state for follow-up searches
+ * Sessions live in the cache database and slide their expiry forward on each turn.
+ */
+class SessionService {
+  constructor() {
+    this.sessionExpiration = (parseInt(process.env.SESSION_TTL_MINUTES) || 60) * 60 * 1000;
+    this.maxTurns = parseInt(process.env.SESSION_MAX_TURNS) || 10;
+  }
+
+  get db() {
+    return cacheService.db;
+  }
+
+  /**
+   * Sessions share the cache database, so they are only available once it is up
+   */
+  isAvailable() {
+    return cacheService.isInitialized;
+  }
+
+  /**
+   * Start periodic removal of expired sessions
+   */
+  startCleanupProcess() {
+    setInterval(async () => {
+      await this.clearExpiredSessions();
+    }, 60 * 60 * 1000); // 1 hour
+  }
+
+  /**
+   * Open a session for a completed search and return its id
+   * `options.responseLanguage` keeps follow-up answers in the same language;
+   * state and city are null for state- and national-scope searches
+   */
+  async createSession(query, state, city, services, options = {}) {
+    if (!this.isAvailable()) return null;
+
+    const id = crypto.randomUUID();
+    const context = {
+      query: query,
+      state: state,
+      city: city,
+      response_language: options.responseLanguage || 'en',
+      portals: this.collectPortals(services),
+      services: (services || []).map(service => this.summarizeService(service))
+    };
+
+    return new Promise((resolve) => {
+      const sql = `
+        INSERT INTO search_sessions (id, original_query, state, city, context, turns, expires_at)
+        VALUES (?, ?, ?, ?, ?, '[]', ?)
+      `;
+
+      this.db.run(sql, [id, query, state || '', city || '', JSON.stringify(context), this.nextExpiry()], (err) => {
+        if (err) {
+          console.error('[SessionService] Error creating session:', err);
+          resolve(null);
+        } else {
+          resolve(id);
+        }
+      });
+    });
+  }
+
+  /**
+   * Load a live session, or null if it is unknown or expired
+   */
+  async getSession(id) {
+    if (!this.isAvailable() || !id) return null;
+
+    return new Promise((resolve) => {
+      const sql = `SELECT * FROM search_sessions WHERE id = ? AND expires_at > ?`;
+
+      this.db.get(sql, [id, new Date().toISOString()], (err, row) => {
+        if (err) {
+          console.error('[SessionService] Error loading session:', err);
+          resolve(null);
+        } else if (!row) {
+          resolve(null);
+        } else {
+          resolve({
+            id: row.id,
+            context: JSON.parse(row.context),
+            turns: JSON.parse(row.turns),
+            created_at: row.created_at,
+            expires_at: row.expires_at
+          });
+        }
+      });
+    });
+  }
+
+  /**
+   * Append a follow-up turn and extend the session's expiry
+   */
+  async addTurn(session, question, services) {
+    const turns = [
+      ...session.turns,
+      {
+        question: question,
+        services: (services || []).map(service => this.summarizeService(service)),
+        asked_at: new Date().toISOString()
+      }
+    ].slice(-this.maxTurns);
+
+    return new Promise((resolve) => {
+      const sql = `UPDATE search_sessions SET turns = ?, expires_at = ?, updated_at = datetime('now') WHERE id = ?`;
+
+      this.db.run(sql, [JSON.stringify(turns), this.nextExpiry(), session.id], (err) => {
+        if (err) {
+          console.error('[SessionService] Error saving turn:', err);
+        }
+        resolve(turns.length);
+      });
+    });
+  }
+
+  /**
+   * Remove sessions past their expiry
+   */
+  async clearExpiredSessions() {
+    if (!this.isAvailable()) return 0;
+
+    return new Promise((resolve) => {
+      this.db.run(`DELETE FROM search_sessions WHERE expires_at <= ?`, [new Date().toISOString()], function(err) {
+        if (err) {
+          console.error('[SessionService] Error clearing expired sessions:', err);
+          resolve(0);
+        } else {
+          console.log(`[SessionService] Cleared ${this.changes} expired sessions`);
+          resolve(this.changes);
+        }
+      });
+    });
+  }
+
+  /**
+   * Number of sessions that have not expired
+   */
+  async countActiveSessions() {
+    if (!this.isAvailable()) return 0;
+
+    return new Promise((resolve) => {
+      this.db.get(`SELECT COUNT(*) as count FROM search_sessions WHERE expires_at > ?`, [new Date().toISOString()], (err, row) => {
+        resolve(err ? 0 : row.count);
+      });
+    });
+  }
+
+  /**
+   * Prompt text describing what the user has already been shown
+   */
+  buildContext(session) {
+    const { context } = session;
+    const lines = [
+      `Original query: "${context.query}"`,
+      `Location: ${searchScope.label(context.state, context.city)}`
+    ];
+
+    if (context.portals.length > 0) {
+      lines.push('Matched portals:');
+      context.portals.forEach(portal => lines.push(`- ${portal.portal_name} (${portal.portal_link})`));
+    }
+
+    if (context.services.length > 0) {
+      lines.push('Services already shown:');
+      context.services.forEach(service => lines.push(`- ${service.title}: ${service.description}`));
+    }
+
+    const recentTurns = session.turns.slice(-MAX_CONTEXT_TURNS);
+    if (recentTurns.length > 0) {
+      lines.push('Earlier follow-up questions:');
+      recentTurns.forEach(turn => {
+        const titles = turn.services.map(service => service.title).join(', ');
+        lines.push(`- "${turn.question}" -> ${titles || 'no services'}`);
+      });
+    }
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Keep only what a later prompt needs from a service card
+   */
+  summarizeService(service) {
+    return {
+      title: service.title,
+      description: service.description,
+      office: service.office,
+      documents: service.documents,
+      portal_name: service.portal_name
+    };
+  }
+
+  /**
+   * Unique portals linked from a set of service cards
+   */
+  collectPortals(services) {
+    const portals = new Map();
+    (services || []).forEach(service => {
+      (service.portal_links || []).forEach(portal => {
+        if (portal.portal_link && !portals.has(portal.portal_link)) {
+          portals.set(portal.portal_link, {
+            portal_name: portal.portal_name,
+            portal_link: portal.portal_link
+          });
+        }
+      });
+    });
+    return [...portals.values()];
+  }
+
+  /**
+   * Expiry timestamp for a session touched now
+   */
+  nextExpiry() {
+    return new Date(Date.now() + this.sessionExpiration).toISOString();
+  }
+}
+
+module.exports = new SessionService();
@@ -0,0 +1,61 @@
+/**
+ * SingleFlight - Coalesces concurrent work that shares a key
+ * The first caller runs the work; callers arriving before it settles wait for
+ * and share its result (or its error) instead of starting their own. Work that
+ * throws an error marked `abandoned` gave up for its own caller's sake (its client
+ * left), so callers that joined run their own work again instead of failing.
+ */
+class SingleFlight {
+  constructor() {
+    this.flights = new Map();
+    this.sharedCount = 0;
+  }
+
+  /**
+   * Run `work` for `key`, or join the flight already running for it
+   * Resolves to { value, shared } where `shared` is true for joined callers
+   */
+  async run(key, work) {
+    const existing = this.flights.get(key);
+    if (existing) {
+      existing.waiters++;
+      this.sharedCount++;
+      try {
+        return { value: await existing.promise, shared: true };
+      } catch (error) {
+        if (!error.abandoned) throw error;
+        this.sharedCount--;
+        return this.run(key, work);
+      }
+    }
+
+    const flight = { waiters: 0, promise: null };
+    flight.promise = Promise.resolve()
+      .then(work)
+      .finally(() => this.flights.delete(key));
+    this.flights.set(key, flight);
+
+    return { value: await flight.promise, shared: false };
+  }
+
+  /**
+   * Whether other callers are waiting on the flight for `key`
+   */
+  hasWaiters(key) {
+    const flight = this.flights.get(key);
+    return Boolean(flight && flight.waiters > 0);
+  }
+
+  /**
+   * Status summary for health endpoints
+   */
+  getStatus() {
+    return {
+      in_flight: this.flights.size,
+      waiting: [...this.flights.values()].reduce((sum, flight) => sum + flight.waiters, 0),
+      shared_since_start: this.sharedCount
+    };
+  }
+}
+
+module.exports = new SingleFlight();
@@ -0,0 +1,114 @@
+const portalMatcher = require('./portalMatcher');
+const cacheService = require('./CacheService');
+
+// Suggestions returned when the client doesn't ask for a number (and the most it may ask for)
+const SUGGEST_LIMIT = parseInt(process.env.SUGGEST_LIMIT) || 8;
+const SUGGEST_MAX_LIMIT = 20;
+
+// Popular queries must have been searched by this many different people before anyone
+// is shown them, so one person's query text is never offered to others
+const SUGGEST_MIN_SEARCHERS = parseInt(process.env.SUGGEST_MIN_SEARCHERS) || 3;
+
+// Shorter input matches too much of the vocabulary to be useful
+const MIN_PREFIX_LENGTH = 2;
+
+// Curated keywords and real demand both count; text found in both ranks highest
+const CURATED_WEIGHT = 1;
+const POPULAR_WEIGHT = 0.8;
+
+/**
+ * How well `text` completes `prefix`: the whole text starts with it, or a later word does
+ */
+function completionScore(text, prefix) {
+  if (text.startsWith(prefix)) return 1;
+  if (text.includes(` ${prefix}`)) return 0.7;
+  return 0;
+}
+
+/**
+ * SuggestService - Typeahead completions for the search box
+ * Blends curated service keywords and portal names from the dataset with
+ * popular queries searched in the user's state
+ */
+class SuggestService {
+  /**
+   * Ranked completions for a partly typed query
+   * Returns [{ text, source, score, portal_name? }] where source is `curated`, `popular` or `both`
+   */
+  async suggest(prefix, state = null, limit = SUGGEST_LIMIT) {
+    const typed = prefix.normalize('NFC').toLowerCase().replace(/\s+/g, ' ').trimStart();
+    if (typed.trim().length < MIN_PREFIX_LENGTH) return [];
+
+    limit = Math.min(Math.max(parseInt(limit) || SUGGEST_LIMIT, 1), SUGGEST_MAX_LIMIT);
+    const suggestions = new Map(); // text -> suggestion
+
+    this.curatedSuggestions(typed.trim(), state).forEach(suggestion => suggestions.set(suggestion.text, suggestion));
+
+    (await this.popularSuggestions(typed, state)).forEach(suggestion => {
+      const existing = suggestions.get(suggestion.text);
+      if (existing) {
+        existing.source = 'both';
+        existing.score += suggestion.score;
+      } else {
+        suggestions.set(suggestion.text, suggestion);
+      }
+    });
+
+    return [...suggestions.values()]
+      .sort((a, b) => b.score - a.score || a.text.length - b.text.length)
+      .slice(0, limit)
+      .map(suggestion => ({ ...suggestion, score: parseFloat(suggestion.score.toFixed(3)) }));
+  }
+
+  /**
+   * Dataset keywords and portal names completing the prefix, limited to portals
+   * that apply in `state`; the user's own state portals get a small boost
+   */
+  curatedSuggestions(prefix, state) {
+    const normalizedState = state ? state.toLowerCase().replace(/\s+/g, '_') : null;
+    const suggestions = [];
+
+    portalMatcher.keywordMap.forEach((portals, keyword) => {
+      const match = completionScore(keyword, prefix);
+      if (match === 0) return;
+
+      const inScope = portals.filter(portal => portalMatcher.inScope(portal, normalizedState));
+      if (inScope.length === 0) return;
+
+      const statePortal = inScope.find(portal => portal.state);
+      suggestions.push({
+        text: keyword,
+        source: 'curated',
+        score: CURATED_WEIGHT * match + (statePortal ? 0.1 : 0),
+        portal_name: (statePortal || inScope[0]).name
+      });
+    });
+
+    return suggestions;
+  }
+
+  /**
+   * Popular queries completing the prefix, weighted by how many people searched them
+   * With a state, only queries searched in that state are used
+   */
+  async popularSuggestions(prefix, state) {
+    const normalized = cacheService.normalizeQuery(prefix);
+    if (normalized.length < MIN_PREFIX_LENGTH) return [];
+
+    const rows = (await cacheService.getPopularQueriesByPrefix(normalized, SUGGEST_MIN_SEARCHERS))
+      .filter(row => !state || row.states_searched.some(searched => searched.toLowerCase() === state.toLowerCase()));
+    if (rows.length === 0) return [];
+
+    const maxCount = Math.max(...rows.map(row => row.searchers));
+    return rows.map(row => {
+      const popularity = Math.log1p(row.searchers) / Math.log1p(maxCount);
+      return {
+        text: row.normalized_query,
+        source: 'popular',
+        score: POPULAR_WEIGHT * completionScore(row.normalized_query, normalized) * (0.5 + 0.5 * popularity)
+      };
+    });
+  }
+}
+
+module.exports = new SuggestService();
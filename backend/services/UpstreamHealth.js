@@ -0,0 +1,52 @@
+/**
+ * UpstreamHealth - Tracks whether the LLM upstream is currently answering
+ * Used to decide when degraded cache entries should be bypassed.
+ */
+class UpstreamHealth {
+  constructor() {
+    this.lastSuccessAt = null;
+    this.lastFailureAt = null;
+    this.lastError = null;
+    this.consecutiveFailures = 0;
+  }
+
+  /**
+   * Record a completed upstream call
+   */
+  recordSuccess() {
+    this.lastSuccessAt = Date.now();
+    this.consecutiveFailures = 0;
+  }
+
+  /**
+   * Record a failed upstream call
+   */
+  recordFailure(error) {
+    this.lastFailureAt = Date.now();
+    this.lastError = error ? error.message : null;
+    this.consecutiveFailures++;
+  }
+
+  /**
+   * Healthy until a failure is seen, and again after the next success
+   */
+  isHealthy() {
+    if (!this.lastFailureAt) return true;
+    return this.lastSuccessAt !== null && this.lastSuccessAt > this.lastFailureAt;
+  }
+
+  /**
+   * Status summary for health endpoints
+   */
+  getStatus() {
+    return {
+      healthy: this.isHealthy(),
+      consecutive_failures: this.consecutiveFailures,
+      last_success_at: this.lastSuccessAt ? new Date(this.lastSuccessAt).toISOString() : null,
+      last_failure_at: this.lastFailureAt ? new Date(this.lastFailureAt).toISOString() : null,
+      last_error: this.lastError
+    };
+  }
+}
+
+module.exports = new UpstreamHealth();
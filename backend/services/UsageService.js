@@ -0,0 +1,308 @@
+const cacheService = require('./CacheService');
+
+/**
+ * Parse a dollar amount from the environment; unset or invalid means 0
+ */
+function dollarsFromEnv(value) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : 0;
+}
+
+/**
+ * UsageService - Token usage, estimated spend and budget caps for LLM calls
+ * Every completion is recorded per request in `llm_usage` and rolled up per
+ * day in `llm_usage_stats`. Spend for the current day and month is also kept
+ * in memory so budget checks never wait on the database.
+ */
+class UsageService {
+  constructor() {
+    // Prices in USD per million tokens; 0 records tokens without a cost
+    this.promptPrice = dollarsFromEnv(process.env.LLM_PROMPT_PRICE_PER_MILLION);
+    this.completionPrice = dollarsFromEnv(process.env.LLM_COMPLETION_PRICE_PER_MILLION);
+    // 0 disables the cap
+    this.dailyBudget = dollarsFromEnv(process.env.LLM_DAILY_BUDGET_USD);
+    this.monthlyBudget = dollarsFromEnv(process.env.LLM_MONTHLY_BUDGET_USD);
+    this.retentionDays = parseInt(process.env.LLM_USAGE_RETENTION_DAYS) || 90;
+
+    this.spend = { day: this.today(), dayCost: 0, month: this.thisMonth(), monthCost: 0 };
+  }
+
+  get db() {
+    return cacheService.db;
+  }
+
+  isAvailable() {
+    return cacheService.isInitialized;
+  }
+
+  today() {
+    return new Date().toISOString().split('T')[0]; // YYYY-MM-DD, same as cache_stats
+  }
+
+  thisMonth() {
+    return this.today().slice(0, 7);
+  }
+
+  /**
+   * Load this day's and month's spend so budgets survive restarts
+   */
+  async initialize() {
+    if (!this.isAvailable()) return;
+
+    const month = this.thisMonth();
+    const row = await new Promise((resolve) => {
+      const query = `
+        SELECT
+          COALESCE(SUM(CASE WHEN date = ? THEN cost_usd END), 0) AS day_cost,
+          COALESCE(SUM(cost_usd), 0) AS month_cost
+        FROM llm_usage_stats
+        WHERE date >= ?
+      `;
+
+      this.db.get(query, [this.today(), `${month}-01`], (err, result) => {
+        if (err) {
+          console.error('[UsageService] Error loading spend:', err);
+          resolve(null);
+        } else {
+          resolve(result);
+        }
+      });
+    });
+
+    if (row) {
+      this.spend = { day: this.today(), dayCost: row.day_cost, month: month, monthCost: row.month_cost };
+    }
+
+    this.startCleanupProcess();
+    console.log(`[UsageService] Spend today $${this.spend.dayCost.toFixed(4)}, this month $${this.spend.monthCost.toFixed(4)}`);
+  }
+
+  /**
+   * Periodically drop per-request rows past the retention window (daily rollups are kept)
+   */
+  startCleanupProcess() {
+    setInterval(() => {
+      this.db.run(`DELETE FROM llm_usage WHERE created_at < datetime('now', ?)`, [`-${this.retentionDays} days`], (err) => {
+        if (err) {
+          console.error('[UsageService] Error clearing old usage rows:', err);
+        }
+      });
+    }, 24 * 60 * 60 * 1000); // 1 day
+  }
+
+  /**
+   * Rough token count for text the provider didn't report usage for
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+
+  /**
+   * Estimated cost in USD of a usage block
+   * Providers that bill per request (e.g. OpenRouter's `usage.cost`) are taken at their word
+   */
+  estimateCost(usage) {
+    if (typeof usage.cost === 'number') return usage.cost;
+    return ((usage.prompt_tokens || 0) * this.promptPrice + (usage.completion_tokens || 0) * this.completionPrice) / 1e6;
+  }
+
+  /**
+   * Roll the in-memory spend over when the day or month changes
+   */
+  rollSpend() {
+    const day = this.today();
+    if (this.spend.day !== day) {
+      this.spend.day = day;
+      this.spend.dayCost = 0;
+    }
+    if (this.spend.month !== day.slice(0, 7)) {
+      this.spend.month = day.slice(0, 7);
+      this.spend.monthCost = 0;
+    }
+  }
+
+  /**
+   * Record one completion
+   * `completion` is a provider result ({ usage, model, provider }); `purpose` says what
+   * the call was for (search, stream, follow_up, correction, translation). Pass
+   * `estimated` when the token counts were estimated rather than reported.
+   */
+  async record(completion, purpose, estimated = false) {
+    const usage = completion.usage || { prompt_tokens: 0, completion_tokens: 0 };
+    const promptTokens = usage.prompt_tokens || 0;
+    const completionTokens = usage.completion_tokens || 0;
+    const cost = this.estimateCost(usage);
+
+    this.rollSpend();
+    this.spend.dayCost += cost;
+    this.spend.monthCost += cost;
+
+    if (!this.isAvailable()) return;
+
+    const insertRequest = new Promise((resolve) => {
+      const query = `
+        INSERT INTO llm_usage (provider, model, purpose, prompt_tokens, completion_tokens, cost_usd, estimated)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      this.db.run(query, [completion.provider || null, completion.model || null, purpose, promptTokens, completionTokens, cost, estimated ? 1 : 0], (err) => {
+        if (err) {
+          console.error('[UsageService] Error recording usage:', err);
+        }
+        resolve();
+      });
+    });
+
+    const updateDaily = new Promise((resolve) => {
+      const query = `
+        INSERT INTO llm_usage_stats (date, requests, prompt_tokens, completion_tokens, cost_usd, estimated_requests)
+        VALUES (?, 1, ?, ?, ?, ?)
+        ON CONFLICT(date) DO UPDATE SET
+          requests = requests + 1,
+          prompt_tokens = prompt_tokens + excluded.prompt_tokens,
+          completion_tokens = completion_tokens + excluded.completion_tokens,
+          cost_usd = cost_usd + excluded.cost_usd,
+          estimated_requests = estimated_requests + excluded.estimated_requests
+      `;
+
+      this.db.run(query, [this.today(), promptTokens, completionTokens, cost, estimated ? 1 : 0], (err) => {
+        if (err) {
+          console.error('[UsageService] Error updating daily usage:', err);
+        }
+        resolve();
+      });
+    });
+
+    await Promise.all([insertRequest, updateDaily]);
+  }
+
+  /**
+   * Budget status; `exceeded` names the period whose cap has been reached, if any
+   */
+  getBudgetStatus() {
+    this.rollSpend();
+
+    let exceeded = null;
+    if (this.dailyBudget > 0 && this.spend.dayCost >= this.dailyBudget) exceeded = 'daily';
+    if (this.monthlyBudget > 0 && this.spend.monthCost >= this.monthlyBudget) exceeded = 'monthly';
+
+    return {
+      exceeded: exceeded,
+      daily: { spent_usd: this.spend.dayCost, budget_usd: this.dailyBudget || null },
+      monthly: { spent_usd: this.spend.monthCost, budget_usd: this.monthlyBudget || null }
+    };
+  }
+
+  /**
+   * Whether a daily or monthly cap has been reached
+   */
+  isOverBudget() {
+    return Boolean(this.getBudgetStatus().exceeded);
+  }
+
+  /**
+   * Milliseconds until the exceeded budget resets (next UTC day or month)
+   */
+  budgetResetMs(period) {
+    const now = new Date();
+    const reset = period === 'monthly'
+      ? Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)
+      : Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return reset - now.getTime();
+  }
+
+  /**
+   * Claim budget for an LLM call; throws a `budgetExceeded` error once a cap is reached
+   */
+  checkBudget() {
+    const { exceeded } = this.getBudgetStatus();
+    if (!exceeded) return;
+
+    const error = new Error(`LLM ${exceeded} budget exceeded`);
+    error.budgetExceeded = true;
+    error.retryAfterMs = this.budgetResetMs(exceeded);
+    throw error;
+  }
+
+  /**
+   * Daily usage with the spend the cache avoided
+   * Avoided cost values each cache hit and coalesced request at the average cost of an LLM call
+   */
+  async getUsageStats(days = 30) {
+    const all = (sql, params) => new Promise((resolve) => {
+      if (!this.isAvailable()) return resolve([]);
+      this.db.all(sql, params, (err, rows) => {
+        if (err) {
+          console.error('[UsageService] Error getting usage stats:', err);
+          resolve([]);
+        } else {
+          resolve(rows);
+        }
+      });
+    });
+
+    const usageRows = await all(`
+      SELECT date, requests, prompt_tokens, completion_tokens, cost_usd, estimated_requests
+      FROM llm_usage_stats
+      WHERE date >= date('now', ?)
+      ORDER BY date DESC
+    `, [`-${days} days`]);
+
+    const cacheRows = await all(`
+      SELECT date, cache_hits, coalesced_requests
+      FROM cache_stats
+      WHERE date >= date('now', ?)
+    `, [`-${days} days`]);
+
+    const byPurpose = await all(`
+      SELECT purpose, COUNT(*) AS requests, SUM(prompt_tokens) AS prompt_tokens,
+             SUM(completion_tokens) AS completion_tokens, SUM(cost_usd) AS cost_usd
+      FROM llm_usage
+      WHERE created_at >= datetime('now', ?)
+      GROUP BY purpose
+      ORDER BY cost_usd DESC
+    `, [`-${days} days`]);
+
+    const totalRequests = usageRows.reduce((sum, row) => sum + row.requests, 0);
+    const totalCost = usageRows.reduce((sum, row) => sum + row.cost_usd, 0);
+    const averageCost = totalRequests > 0 ? totalCost / totalRequests : 0;
+
+    const savedByDate = new Map(cacheRows.map(row => [row.date, row.cache_hits + (row.coalesced_requests || 0)]));
+    const dates = [...new Set([...usageRows.map(row => row.date), ...savedByDate.keys()])].sort().reverse();
+
+    const daily = dates.map(date => {
+      const usage = usageRows.find(row => row.date === date) || { requests: 0, prompt_tokens: 0, completion_tokens: 0, cost_usd: 0, estimated_requests: 0 };
+      const avoidedCalls = savedByDate.get(date) || 0;
+      return {
+        date: date,
+        requests: usage.requests,
+        prompt_tokens: usage.prompt_tokens,
+        completion_tokens: usage.completion_tokens,
+        cost_usd: usage.cost_usd,
+        estimated_requests: usage.estimated_requests,
+        avoided_calls: avoidedCalls,
+        avoided_cost_usd: avoidedCalls * averageCost
+      };
+    });
+
+    return {
+      summary: {
+        requests: totalRequests,
+        prompt_tokens: usageRows.reduce((sum, row) => sum + row.prompt_tokens, 0),
+        completion_tokens: usageRows.reduce((sum, row) => sum + row.completion_tokens, 0),
+        cost_usd: totalCost,
+        average_cost_usd: averageCost,
+        avoided_cost_usd: daily.reduce((sum, row) => sum + row.avoided_cost_usd, 0),
+        pricing: {
+          prompt_per_million_usd: this.promptPrice,
+          completion_per_million_usd: this.completionPrice
+        },
+        budget: this.getBudgetStatus()
+      },
+      by_purpose: byPurpose,
+      daily_usage: daily
+    };
+  }
+}
+
+module.exports = new UsageService();
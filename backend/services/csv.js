@@ -0,0 +1,97 @@
+/**
+ * Minimal RFC 4180 CSV reading and writing for batch search uploads
+ */
+
+/**
+ * Split CSV text into rows of fields, honouring quoted fields with
+ * embedded commas, quotes ("") and line breaks
+ */
+function parseRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Spreadsheet exports often start with a byte-order mark
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Parse CSV with a header row into objects keyed by lowercase column name
+ */
+function parseCsv(text) {
+  const [header, ...rows] = parseRows(text);
+  if (!header) return [];
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  return rows.map(values => Object.fromEntries(
+    columns.map((column, index) => [column, (values[index] || '').trim()])
+  ));
+}
+
+// Leading characters that make spreadsheets treat a cell as a formula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a value when it contains a delimiter, quote or line break
+ * Text that a spreadsheet would run as a formula gets a leading ' - values
+ * come from users and the LLM, so "=HYPERLINK(...)" must stay plain text
+ */
+function escapeField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize objects to CSV using the given column order
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.map(escapeField).join(',')];
+  rows.forEach(row => lines.push(columns.map(column => escapeField(row[column])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, toCsv };
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * FixtureProvider - Deterministic, offline provider backed by a JSON file.
+ * Picks the first fixture whose `match` terms appear in the prompt, so the
+ * whole search route can run on a laptop or in tests without network access.
+ */
+class FixtureProvider {
+  constructor(options = {}) {
+    this.name = 'fixture';
+    this.fixturePath = options.fixturePath || path.join(__dirname, '../../data/llm_fixtures.json');
+    this.model = options.model || 'fixture';
+    this.temperature = options.temperature;
+    this.maxTokens = options.maxTokens;
+    this.fixtures = null;
+  }
+
+  /**
+   * Load fixtures lazily so a missing file only fails when the provider is used
+   */
+  loadFixtures() {
+    if (!this.fixtures) {
+      this.fixtures = JSON.parse(fs.readFileSync(this.fixturePath, 'utf8'));
+    }
+    return this.fixtures;
+  }
+
+  /**
+   * Pick the fixture response for a prompt
+   */
+  selectResponse(prompt) {
+    const { fixtures = [], default: defaultResponse } = this.loadFixtures();
+    const promptLower = prompt.toLowerCase();
+
+    const fixture = fixtures.find(entry =>
+      entry.match.some(term => promptLower.includes(term.toLowerCase()))
+    );
+
+    return fixture ? fixture.response : defaultResponse;
+  }
+
+  /**
+   * Return the canned response for the last user message
+   */
+  async complete(messages, options = {}) {
+    const userMessages = messages.filter(message => message.role === 'user');
+    const prompt = userMessages.length > 0 ? userMessages[userMessages.length - 1].content : '';
+    const response = this.selectResponse(prompt);
+    const content = typeof response === 'string' ? response : JSON.stringify(response);
+
+    // Rough 4-characters-per-token estimate keeps usage numbers meaningful
+    const promptTokens = Math.ceil(messages.reduce((sum, message) => sum + message.content.length, 0) / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+
+    return {
+      content: content,
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      },
+      model: options.model || this.model,
+      provider: this.name
+    };
+  }
+
+  /**
+   * Stream the canned response in small fixed-size chunks
+   */
+  async *stream(messages, options = {}) {
+    const { content, usage } = await this.complete(messages, options);
+    const chunkSize = 40;
+
+    if (options.onUsage) options.onUsage(usage);
+
+    for (let i = 0; i < content.length; i += chunkSize) {
+      yield content.slice(i, i + chunkSize);
+    }
+  }
+
+  /**
+   * Describe the provider configuration
+   */
+  describe() {
+    return {
+      provider: this.name,
+      fixture_path: this.fixturePath,
+      model: this.model
+    };
+  }
+}
+
+module.exports = FixtureProvider;
@@ -0,0 +1,105 @@
+const { streamLines, fetchJson } = require('./http');
+
+/**
+ * OllamaProvider - Local models served through Ollama's `/api/chat` endpoint
+ */
+class OllamaProvider {
+  constructor(options = {}) {
+    this.name = 'ollama';
+    this.baseUrl = (options.baseUrl || 'http://localhost:11434').replace(/\/+$/, '');
+    this.model = options.model;
+    this.temperature = options.temperature;
+    this.maxTokens = options.maxTokens;
+    this.timeoutMs = options.timeoutMs;
+  }
+
+  /**
+   * Send a non-streaming chat request and return the assistant message
+   */
+  async complete(messages, options = {}) {
+    const model = options.model || this.model;
+
+    const data = await fetchJson(`${this.baseUrl}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: model,
+        messages: messages,
+        stream: false,
+        options: {
+          temperature: options.temperature ?? this.temperature,
+          num_predict: options.maxTokens ?? this.maxTokens
+        }
+      })
+    }, options.timeoutMs ?? this.timeoutMs);
+
+    return {
+      content: data.message.content,
+      usage: this.usageFrom(data),
+      model: data.model || model,
+      provider: this.name
+    };
+  }
+
+  /**
+   * Ollama reports token counts as eval counts rather than a usage block
+   */
+  usageFrom(data) {
+    return {
+      prompt_tokens: data.prompt_eval_count || 0,
+      completion_tokens: data.eval_count || 0,
+      total_tokens: (data.prompt_eval_count || 0) + (data.eval_count || 0)
+    };
+  }
+
+  /**
+   * Stream a chat request, yielding content deltas from Ollama's NDJSON output
+   * The final `done` line carries the eval counts, passed to `options.onUsage`
+   */
+  async *stream(messages, options = {}) {
+    const model = options.model || this.model;
+
+    const lines = streamLines(`${this.baseUrl}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: model,
+        messages: messages,
+        stream: true,
+        options: {
+          temperature: options.temperature ?? this.temperature,
+          num_predict: options.maxTokens ?? this.maxTokens
+        }
+      })
+    }, options.timeoutMs ?? this.timeoutMs);
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      const data = JSON.parse(line);
+      if (data.message && data.message.content) {
+        yield data.message.content;
+      }
+      if (data.done) {
+        if (options.onUsage) options.onUsage(this.usageFrom(data));
+        return;
+      }
+    }
+  }
+
+  /**
+   * Describe the provider configuration
+   */
+  describe() {
+    return {
+      provider: this.name,
+      base_url: this.baseUrl,
+      model: this.model,
+      temperature: this.temperature,
+      max_tokens: this.maxTokens,
+      timeout_ms: this.timeoutMs
+    };
+  }
+}
+
+module.exports = OllamaProvider;
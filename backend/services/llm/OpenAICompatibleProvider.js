@@ -0,0 +1,117 @@
+const { streamLines, fetchJson } = require('./http');
+
+/**
+ * OpenAICompatibleProvider - Chat completions against any endpoint that
+ * speaks the OpenAI `/chat/completions` protocol (vLLM, LM Studio, Azure, etc.)
+ */
+class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'openai';
+    this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || null;
+    this.model = options.model;
+    this.temperature = options.temperature;
+    this.maxTokens = options.maxTokens;
+    this.timeoutMs = options.timeoutMs;
+    this.extraHeaders = options.headers || {};
+  }
+
+  /**
+   * Build request headers for the completion call
+   */
+  buildHeaders() {
+    const headers = {
+      'Content-Type': 'application/json',
+      ...this.extraHeaders
+    };
+
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Send a chat completion request and return the assistant message
+   */
+  async complete(messages, options = {}) {
+    const model = options.model || this.model;
+
+    const data = await fetchJson(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: this.buildHeaders(),
+      body: JSON.stringify({
+        model: model,
+        messages: messages,
+        temperature: options.temperature ?? this.temperature,
+        max_tokens: options.maxTokens ?? this.maxTokens
+      })
+    }, options.timeoutMs ?? this.timeoutMs);
+
+    return {
+      content: data.choices[0].message.content,
+      usage: data.usage || null,
+      model: data.model || model,
+      provider: this.name
+    };
+  }
+
+  /**
+   * Stream a chat completion, yielding content deltas as they arrive
+   * `options.onUsage` receives the usage block the endpoint sends with its final chunk
+   */
+  async *stream(messages, options = {}) {
+    const model = options.model || this.model;
+
+    const lines = streamLines(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: this.buildHeaders(),
+      body: JSON.stringify({
+        model: model,
+        messages: messages,
+        temperature: options.temperature ?? this.temperature,
+        max_tokens: options.maxTokens ?? this.maxTokens,
+        stream: true,
+        stream_options: { include_usage: true }
+      })
+    }, options.timeoutMs ?? this.timeoutMs);
+
+    // Server-sent events: one `data:` line per delta, terminated by [DONE]
+    for await (const line of lines) {
+      if (!line.startsWith('data:')) continue;
+
+      const payload = line.slice(5).trim();
+      if (payload === '[DONE]') return;
+
+      try {
+        const data = JSON.parse(payload);
+        const delta = data.choices && data.choices[0] && data.choices[0].delta;
+        if (delta && delta.content) {
+          yield delta.content;
+        }
+        if (data.usage && options.onUsage) {
+          options.onUsage(data.usage);
+        }
+      } catch (parseError) {
+        // Keep-alive comments and partial frames are safe to skip
+      }
+    }
+  }
+
+  /**
+   * Describe the provider without exposing credentials
+   */
+  describe() {
+    return {
+      provider: this.name,
+      base_url: this.baseUrl,
+      model: this.model,
+      temperature: this.temperature,
+      max_tokens: this.maxTokens,
+      timeout_ms: this.timeoutMs
+    };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,21 @@
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
+
+/**
+ * OpenRouterProvider - OpenRouter is OpenAI-compatible but expects
+ * attribution headers identifying the calling application
+ */
+class OpenRouterProvider extends OpenAICompatibleProvider {
+  constructor(options = {}) {
+    super({
+      ...options,
+      name: 'openrouter',
+      baseUrl: options.baseUrl || 'https://openrouter.ai/api/v1',
+      headers: {
+        'HTTP-Referer': options.referer || 'http://localhost:5000',
+        'X-Title': 'Portal Finder'
+      }
+    });
+  }
+}
+
+module.exports = OpenRouterProvider;
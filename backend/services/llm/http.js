@@ -0,0 +1,116 @@
+const { readLines } = require('./streamUtils');
+
+/**
+ * HTTP helpers shared by the LLM providers
+ */
+
+/**
+ * Error thrown when a request is aborted for taking longer than `timeoutMs`
+ */
+function timeoutError(timeoutMs) {
+  const error = new Error(`API request timed out after ${timeoutMs}ms`);
+  error.timeout = true;
+  return error;
+}
+
+/**
+ * Run `request(signal)` and abort it if it hasn't finished within `timeoutMs`
+ * The timer stays armed for everything `request` awaits, body reads included
+ */
+async function withTimeout(timeoutMs, request) {
+  if (!timeoutMs) {
+    return request(undefined);
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    return await request(controller.signal);
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw timeoutError(timeoutMs);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * fetch() that marks connection failures (refused, DNS failure, reset...) as `network` errors
+ */
+async function send(url, init, signal) {
+  try {
+    return await fetch(url, { ...init, signal });
+  } catch (error) {
+    error.network = true;
+    throw error;
+  }
+}
+
+/**
+ * fetch() a streaming response and yield its body line by line
+ * Gives up if the headers, or any chunk after them, take longer than `idleTimeoutMs`,
+ * so a stalled upstream can't hold a stream open forever
+ */
+async function* streamLines(url, init, idleTimeoutMs) {
+  const controller = new AbortController();
+  let timer = null;
+  const arm = () => {
+    if (!idleTimeoutMs) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => controller.abort(), idleTimeoutMs);
+  };
+
+  arm();
+  try {
+    const response = await send(url, init, controller.signal);
+    if (!response.ok) {
+      throw responseError(response);
+    }
+    for await (const line of readLines(response.body, arm)) {
+      yield line;
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      throw timeoutError(idleTimeoutMs);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    // Callers may stop reading early; release the connection
+    controller.abort();
+  }
+}
+
+/**
+ * fetch() and parse a JSON body, giving up if both haven't finished within `timeoutMs`
+ * Upstreams that send headers early and the body late are still cut off
+ */
+async function fetchJson(url, init, timeoutMs) {
+  return withTimeout(timeoutMs, async (signal) => {
+    const response = await send(url, init, signal);
+    if (!response.ok) {
+      throw responseError(response);
+    }
+    return response.json();
+  });
+}
+
+/**
+ * Error for a non-2xx response, carrying the status and any Retry-After hint
+ */
+function responseError(response) {
+  const error = new Error(`API request failed: ${response.statusText}`);
+  error.status = response.status;
+
+  const retryAfter = parseFloat(response.headers.get('retry-after'));
+  if (Number.isFinite(retryAfter)) {
+    error.retryAfterMs = retryAfter * 1000;
+  }
+
+  return error;
+}
+
+module.exports = { streamLines, fetchJson, responseError };
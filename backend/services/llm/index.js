@@ -0,0 +1,105 @@
+const OpenRouterProvider = require('./OpenRouterProvider');
+const OpenAICompatibleProvider = require('./OpenAICompatibleProvider');
+const OllamaProvider = require('./OllamaProvider');
+const FixtureProvider = require('./FixtureProvider');
+
+/**
+ * LLM provider registry
+ * Selects the completion backend from LLM_PROVIDER and reads per-provider
+ * settings from `<PREFIX>_MODEL`, `<PREFIX>_TEMPERATURE`, `<PREFIX>_MAX_TOKENS` and
+ * `<PREFIX>_TIMEOUT_MS` (falling back to LLM_TIMEOUT_MS).
+ */
+
+const PROVIDERS = {
+  openrouter: {
+    Provider: OpenRouterProvider,
+    envPrefix: 'OPENROUTER',
+    defaults: { model: 'mistralai/mistral-7b-instruct', temperature: 0.3, maxTokens: 1500 }
+  },
+  openai: {
+    Provider: OpenAICompatibleProvider,
+    envPrefix: 'OPENAI',
+    defaults: { model: 'gpt-4o-mini', temperature: 0.3, maxTokens: 1500 }
+  },
+  ollama: {
+    Provider: OllamaProvider,
+    envPrefix: 'OLLAMA',
+    defaults: { model: 'mistral', temperature: 0.3, maxTokens: 1500 }
+  },
+  fixture: {
+    Provider: FixtureProvider,
+    envPrefix: 'LLM_FIXTURE',
+    defaults: { model: 'fixture', temperature: 0, maxTokens: 1500 }
+  }
+};
+
+const DEFAULT_PROVIDER = 'openrouter';
+
+// Time allowed for a whole completion, or for a stream to start
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Parse a numeric environment variable, falling back when unset or invalid
+ */
+function numberFromEnv(value, fallback) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+}
+
+/**
+ * Build provider options from environment variables
+ */
+function optionsFromEnv(name, env = process.env) {
+  const { envPrefix, defaults } = PROVIDERS[name];
+
+  return {
+    model: env[`${envPrefix}_MODEL`] || defaults.model,
+    temperature: numberFromEnv(env[`${envPrefix}_TEMPERATURE`], defaults.temperature),
+    maxTokens: numberFromEnv(env[`${envPrefix}_MAX_TOKENS`], defaults.maxTokens),
+    timeoutMs: numberFromEnv(env[`${envPrefix}_TIMEOUT_MS`], numberFromEnv(env.LLM_TIMEOUT_MS, DEFAULT_TIMEOUT_MS)),
+    apiKey: env[`${envPrefix}_API_KEY`],
+    baseUrl: env[`${envPrefix}_BASE_URL`],
+    fixturePath: name === 'fixture' ? env.LLM_FIXTURE_FILE : undefined
+  };
+}
+
+/**
+ * Create a provider by name; explicit options override environment settings
+ */
+function createProvider(name = DEFAULT_PROVIDER, overrides = {}) {
+  const key = String(name).toLowerCase();
+
+  if (!PROVIDERS[key]) {
+    throw new Error(`Unknown LLM provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  const options = { ...optionsFromEnv(key), ...overrides };
+  return new PROVIDERS[key].Provider(options);
+}
+
+let activeProvider = null;
+
+/**
+ * Get the provider configured through LLM_PROVIDER (created once)
+ */
+function getProvider() {
+  if (!activeProvider) {
+    activeProvider = createProvider(process.env.LLM_PROVIDER || DEFAULT_PROVIDER);
+    console.log(`[LLM] Using provider "${activeProvider.name}" with model "${activeProvider.model}"`);
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the active provider (used by tests and offline tooling)
+ */
+function setProvider(provider) {
+  activeProvider = provider;
+}
+
+module.exports = {
+  createProvider,
+  getProvider,
+  setProvider,
+  availableProviders: Object.keys(PROVIDERS)
+};
@@ -0,0 +1,62 @@
+/**
+ * Bounded retries with jittered exponential backoff for upstream LLM calls
+ */
+
+/**
+ * Parse a non-negative whole number from the environment; 0 is a real setting
+ * (LLM_MAX_RETRIES=0 turns retries off), only unset or invalid values fall back
+ */
+function countFromEnv(value, fallback) {
+  const parsed = parseInt(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: countFromEnv(process.env.LLM_MAX_RETRIES, 2),
+  baseDelayMs: countFromEnv(process.env.LLM_RETRY_BASE_MS, 500),
+  maxDelayMs: countFromEnv(process.env.LLM_RETRY_MAX_MS, 8000)
+};
+
+/**
+ * Rate limits, server errors, timeouts and dropped connections are worth retrying
+ * Callers mark errors `retryable = false` once a retry would repeat visible work
+ */
+function isRetryable(error) {
+  if (error.retryable === false) return false;
+  if (error.timeout || error.network) return true;
+  return error.status === 429 || error.status >= 500;
+}
+
+/**
+ * Full-jitter backoff, honouring a Retry-After hint when the upstream sends one
+ */
+function backoffDelay(attempt, error, options) {
+  const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * Math.pow(2, attempt));
+  const jittered = Math.random() * ceiling;
+  return error.retryAfterMs ? Math.min(options.maxDelayMs, Math.max(error.retryAfterMs, jittered)) : jittered;
+}
+
+/**
+ * Run `call`, retrying retryable failures up to `maxRetries` times
+ * The final error carries `attempts` for logging
+ */
+async function withRetries(call, overrides = {}) {
+  const options = { ...DEFAULT_RETRY_OPTIONS, ...overrides };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await call(attempt);
+    } catch (error) {
+      if (attempt >= options.maxRetries || !isRetryable(error)) {
+        error.attempts = attempt + 1;
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt, error, options);
+      console.warn(`[LLM] Attempt ${attempt + 1} failed (${error.status || error.message}), retrying in ${Math.round(delay)}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = { withRetries, isRetryable, DEFAULT_RETRY_OPTIONS };
@@ -0,0 +1,31 @@
+/**
+ * Streaming helpers shared by the LLM providers
+ */
+
+/**
+ * Yield complete lines from a fetch response body as they arrive
+ * `onChunk` is called whenever a chunk arrives, e.g. to reset an idle timer
+ */
+async function* readLines(body, onChunk = null) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    if (onChunk) onChunk();
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newlineIndex).replace(/\r$/, '');
+      buffer = buffer.slice(newlineIndex + 1);
+      yield line;
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer.length > 0) {
+    yield buffer;
+  }
+}
+
+module.exports = { readLines };
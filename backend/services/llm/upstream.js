@@ -0,0 +1,31 @@
+const usageService = require('../UsageService');
+const circuitBreaker = require('../CircuitBreaker');
+const upstreamHealth = require('../UpstreamHealth');
+const { withRetries } = require('./retry');
+
+/**
+ * Run an upstream LLM call behind the spend budget and circuit breaker, retrying transient failures
+ * Tracks upstream health, records token usage for `purpose` and tags failures;
+ * refused calls throw a `budgetExceeded` or `circuitOpen` error
+ */
+async function callUpstream(call, purpose) {
+  usageService.checkBudget();
+  circuitBreaker.acquire();
+
+  let result;
+  try {
+    result = await withRetries(call);
+    upstreamHealth.recordSuccess();
+    circuitBreaker.recordSuccess();
+  } catch (error) {
+    upstreamHealth.recordFailure(error);
+    circuitBreaker.recordFailure();
+    error.isUpstreamError = true;
+    throw error;
+  }
+
+  await usageService.record(result, purpose, Boolean(result.estimatedUsage));
+  return result;
+}
+
+module.exports = { callUpstream };
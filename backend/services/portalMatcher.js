@@ -1,223 +1,536 @@
-const governmentPortals = require('../data/government_portals.json');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const statesData = require('../data/states.json');
+const Bm25Index = require('./Bm25Index');
+const rankingProfiles = require('./RankingProfileService');
+const { STOP_WORDS, tokenize, stem, terms, phoneticKey } = require('./tokenizer');
+
+// Curated portal dataset; watched for edits unless PORTAL_DATASET_WATCH=false
+const DATASET_PATH = process.env.PORTAL_DATASET_PATH || path.join(__dirname, '../data/government_portals.json');
+const DATASET_WATCH_INTERVAL_MS = parseInt(process.env.PORTAL_DATASET_WATCH_INTERVAL_MS) || 2000;
+
+// Validation errors reported for a rejected dataset
+const MAX_VALIDATION_ERRORS = 20;
+
+// Nesting of the known dataset sections: the key at each level above a portal entry
+// Other top-level sections are still loaded, with state keys recognised by name
+const SECTION_LAYOUTS = {
+  central_government: { type: 'central', path: ['category', 'service'] },
+  common_portals: { type: 'common', category: 'common', path: ['service'] },
+  state_specific: { type: 'state', category: 'state_specific', path: ['state', 'service'] },
+  detailed_state_services: { type: 'state_detailed', path: ['state', 'category'] },
+  specialized_categories: { type: 'state_specialized', path: ['category', 'state', 'service'] },
+  municipal_services: { type: 'municipal', path: ['state', 'city', 'service'] }
+};
+
+// City keys as the dataset writes them
+const cityKey = (city) => city.toLowerCase().replace(/\*/g, '').trim().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+// State keys as the dataset writes them ("tamil_nadu"), each with its city keys
+const STATE_CITIES = new Map(Object.entries(statesData).map(([state, cities]) => [
+  state.toLowerCase().replace(/\s+/g, '_'),
+  new Set(cities.map(cityKey))
+]));
+const STATE_KEYS = new Set(STATE_CITIES.keys());
+
+// Administrative levels, most local first: matches resolve city, then state, then central
+// City-layer entries are municipal unless they set `"level": "district"`
+const ADMINISTRATIVE_LEVELS = ['municipal', 'district', 'state', 'central'];
+const CITY_LEVELS = ['municipal', 'district'];
+
+// Relative weight of a term by where it appears in a portal's entry
+const INDEX_FIELD_WEIGHTS = { keywords: 3, name: 2, description: 1 };
+
+// Words nearly every portal entry uses ("Official portal for online services")
+const INDEX_STOP_WORDS = new Set([
+  ...STOP_WORDS, 'official', 'portal', 'online', 'service', 'services', 'apply', 'application', 'government', 'govt', 'citizen'
+]);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Keywords at least this similar to the whole query match in the fuzzy pass
+const FUZZY_MIN_SIMILARITY = 0.3;
+
+// Query words the index doesn't know are respelled to a keyword word that sounds the same or,
+// from SPELLING_EDIT_MIN_LENGTH characters, keeps the first letter and is within one edit per
+// SPELLING_CHARS_PER_EDIT characters. Shorter words only take a same-sounding word about as long
+// ("fill" is not "filing"), and words under SPELLING_MIN_LENGTH are left alone
+const SPELLING_MIN_LENGTH = 4;
+const SPELLING_EDIT_MIN_LENGTH = 5;
+const SPELLING_CHARS_PER_EDIT = 4;
+
+// A service card's one-word hit on a portal other than the query's counts at this share,
+// and never ranks above the query's portal
+const CARD_SINGLE_TERM_WEIGHT = 0.5;
 
 class PortalMatcher {
   constructor() {
-    this.portals = governmentPortals;
-    this.keywordMap = this.buildKeywordMap();
+    this.reloadListeners = [];
+    this.rejected = {}; // hash and errors of the last invalid file
+    this.stats = { reloads: 0, rejected_reloads: 0, last_error: null };
+
+    const { contents, data } = this.readDataset();
+    const errors = this.validateDataset(data);
+    if (errors.length > 0) {
+      throw new Error(`Invalid portal dataset ${DATASET_PATH}: ${errors.join('; ')}`);
+    }
+    this.swapDataset(data, contents);
+  }
+
+  // Raw contents and parsed JSON of the dataset file
+  readDataset() {
+    const contents = fs.readFileSync(DATASET_PATH, 'utf8');
+    return { contents, data: JSON.parse(contents) };
+  }
+
+  // Problems that would break matching; an empty list means the dataset can be used
+  // Any object with a url, name or services list is checked as a portal entry
+  validateDataset(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return ['the dataset must be a JSON object of sections'];
+    }
+
+    const errors = [];
+    let portalCount = 0;
+    const walk = (node, at) => {
+      if (!node || typeof node !== 'object' || Array.isArray(node)) return;
+
+      if ('url' in node || 'name' in node || 'services' in node) {
+        portalCount++;
+        if (typeof node.name !== 'string' || !node.name.trim()) errors.push(`${at}: missing name`);
+        if (typeof node.url !== 'string' || !/^https?:\/\/[^\s/]+\.[^\s]+$/.test(node.url)) errors.push(`${at}: invalid url`);
+        if (node.description !== undefined && typeof node.description !== 'string') errors.push(`${at}: description must be text`);
+        if (node.services !== undefined && (!Array.isArray(node.services) || node.services.some(service => typeof service !== 'string'))) {
+          errors.push(`${at}: services must be a list of text`);
+        }
+        if (node.level !== undefined && !CITY_LEVELS.includes(node.level)) {
+          errors.push(`${at}: level must be one of ${CITY_LEVELS.join(', ')}`);
+        }
+        if (node.last_verified !== undefined && (typeof node.last_verified !== 'string' || Number.isNaN(Date.parse(node.last_verified)))) {
+          errors.push(`${at}: last_verified must be a date such as 2026-01-31`);
+        }
+        return;
+      }
+      Object.entries(node).forEach(([key, child]) => walk(child, at ? `${at}.${key}` : key));
+    };
+    walk(data, '');
+
+    // The city layer is keyed by the states and cities in states.json
+    Object.entries(data.municipal_services || {}).forEach(([state, cities]) => {
+      if (!STATE_CITIES.has(state)) {
+        errors.push(`municipal_services.${state}: not a state in states.json`);
+        return;
+      }
+      Object.keys(cities || {})
+        .filter(city => !STATE_CITIES.get(state).has(city))
+        .forEach(city => errors.push(`municipal_services.${state}.${city}: not a city of ${state} in states.json`));
+    });
+
+    if (portalCount === 0) errors.push('no portal entries found');
+    // getBestPortal falls back to the national portal
+    if (!data.common_portals || !data.common_portals.india_gov) errors.push('common_portals.india_gov is required');
+
+    return errors.slice(0, MAX_VALIDATION_ERRORS);
+  }
+
+  // Build the keyword map and index for a dataset, then switch to them in one step
+  // Searches in flight keep the structures they started with
+  swapDataset(data, contents) {
+    const keywordMap = this.buildKeywordMap(data);
+    const index = this.buildIndex(keywordMap);
+    const vocabulary = this.buildVocabulary(keywordMap, index);
+
+    this.portals = data;
+    this.keywordMap = keywordMap;
+    this.index = index;
+    this.vocabulary = vocabulary;
+    this.version = crypto.createHash('sha256').update(contents).digest('hex').substring(0, 12);
+    this.loadedAt = new Date().toISOString();
+
+    console.log(`[PortalMatcher] Loaded dataset ${this.version}: ${keywordMap.size} keywords`);
+  }
+
+  // Re-read the dataset file and swap it in if it changed and is valid
+  // Returns { changed, version, previous_version } or { changed: false, errors } when rejected
+  reload() {
+    let dataset;
+    try {
+      dataset = this.readDataset();
+    } catch (error) {
+      return this.rejectReload([`cannot read dataset: ${error.message}`]);
+    }
+
+    const previousVersion = this.version;
+    const version = crypto.createHash('sha256').update(dataset.contents).digest('hex').substring(0, 12);
+    if (version === previousVersion) {
+      return { changed: false, version };
+    }
+    // The same broken file is reported once, not on every poll
+    if (version === this.rejected.version) {
+      return { changed: false, version: previousVersion, errors: this.rejected.errors };
+    }
+
+    const errors = this.validateDataset(dataset.data);
+    if (errors.length > 0) {
+      this.rejected = { version, errors };
+      return this.rejectReload(errors);
+    }
+
+    this.swapDataset(dataset.data, dataset.contents);
+    this.stats.reloads++;
+    this.stats.last_error = null;
+    this.rejected = {};
+    this.reloadListeners.forEach(listener => listener(this.version, previousVersion));
+    return { changed: true, version: this.version, previous_version: previousVersion };
+  }
+
+  // Keep serving the current dataset and record why the new one was refused
+  rejectReload(errors) {
+    this.stats.rejected_reloads++;
+    this.stats.last_error = errors.join('; ');
+    console.error(`[PortalMatcher] Rejected dataset reload, keeping ${this.version}: ${this.stats.last_error}`);
+    return { changed: false, version: this.version, errors };
+  }
+
+  // Run `listener(version, previousVersion)` after each successful reload
+  // For services that build their own structures from the dataset
+  onReload(listener) {
+    this.reloadListeners.push(listener);
+  }
+
+  // Poll the dataset file and reload when it changes
+  watch() {
+    if (process.env.PORTAL_DATASET_WATCH === 'false' || this.watching) return;
+
+    this.watching = true;
+    fs.watchFile(DATASET_PATH, { interval: DATASET_WATCH_INTERVAL_MS }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) return;
+      console.log('[PortalMatcher] Dataset file changed, reloading');
+      this.reload();
+    }).unref();
+  }
+
+  // Version, load time and reload counters of the dataset in use
+  getDatasetInfo() {
+    return {
+      version: this.version,
+      loaded_at: this.loadedAt,
+      path: DATASET_PATH,
+      watching: Boolean(this.watching),
+      keywords: this.keywordMap.size,
+      spelling_vocabulary: this.vocabulary.words.size,
+      ...this.index.getStats(),
+      ...this.stats
+    };
   }
 
   // Build a comprehensive keyword mapping for fuzzy matching
-  buildKeywordMap() {
+  // Every top-level section of the dataset is read through loadSection
+  buildKeywordMap(portals = this.portals) {
     const keywordMap = new Map();
     
-    // Add central government services
-    Object.entries(this.portals.central_government).forEach(([category, services]) => {
-      Object.entries(services).forEach(([serviceKey, serviceData]) => {
-        serviceData.services.forEach(keyword => {
-          if (!keywordMap.has(keyword.toLowerCase())) {
-            keywordMap.set(keyword.toLowerCase(), []);
+    Object.entries(portals).forEach(([section, data]) => {
+      this.loadSection(section, data).forEach(({ portal, keywords }) => {
+        keywords.forEach(keyword => {
+          if (!keywordMap.has(keyword)) {
+            keywordMap.set(keyword, []);
           }
-          keywordMap.get(keyword.toLowerCase()).push({
-            ...serviceData,
-            category: category,
-            type: 'central'
-          });
-        });
-        
-        // Also map service names
-        if (!keywordMap.has(serviceData.name.toLowerCase())) {
-          keywordMap.set(serviceData.name.toLowerCase(), []);
-        }
-        keywordMap.get(serviceData.name.toLowerCase()).push({
-          ...serviceData,
-          category: category,
-          type: 'central'
+          keywordMap.get(keyword).push(portal);
         });
       });
     });
 
-    // Add common portals
-    Object.entries(this.portals.common_portals).forEach(([portalKey, portalData]) => {
-      portalData.services.forEach(keyword => {
-        if (!keywordMap.has(keyword.toLowerCase())) {
-          keywordMap.set(keyword.toLowerCase(), []);
-        }
-        keywordMap.get(keyword.toLowerCase()).push({
-          ...portalData,
-          category: 'common',
-          type: 'common'
-        });
-      });
+    return keywordMap;
+  }
+
+  // Portal entries of one dataset section, each with its metadata and keywords
+  // Any object with a `name` and `url` is a portal, however deeply it is nested
+  loadSection(section, data) {
+    const layout = SECTION_LAYOUTS[section] || { type: 'section' };
+    const entries = [];
+
+    const walk = (node, path) => {
+      if (!node || typeof node !== 'object') return;
+      if (typeof node.url === 'string' && node.name) {
+        entries.push(this.sectionEntry(section, layout, node, path));
+        return;
+      }
+      Object.entries(node).forEach(([key, child]) => walk(child, [...path, key]));
+    };
+
+    walk(data, []);
+    return entries;
+  }
+
+  // Attach state, category and type to a portal from the keys above it
+  // Sections without a layout get their levels guessed: state names are states, anything else a category
+  sectionEntry(section, layout, node, path) {
+    const levels = layout.path || path.map(key => (STATE_KEYS.has(key) ? 'state' : 'category'));
+    const level = (name) => (levels.indexOf(name) >= 0 ? path[levels.indexOf(name)] : null);
+    const state = level('state');
+    const city = level('city');
+
+    const portal = {
+      ...node,
+      category: layout.category || level('category') || section,
+      type: layout.type === 'section' && state ? 'state_section' : layout.type,
+      ...(state ? { state } : {}),
+      ...(city ? { city } : {})
+    };
+
+    // Service keywords, the portal's name and its own key ("skill_development" -> "skill development")
+    const keywords = [...(Array.isArray(node.services) ? node.services : []), node.name];
+    if (path.length > 0) keywords.push(path[path.length - 1].replace(/_/g, ' '));
+
+    return { portal, keywords: [...new Set(keywords.map(keyword => keyword.toLowerCase()))] };
+  }
+
+  // Inverted index with one document per portal (per state and city for local portals):
+  // its name, description and every keyword in keywordMap that points at it
+  buildIndex(keywordMap = this.keywordMap) {
+    const documents = new Map(); // url|state|city -> { portal, keywords }
+    const addPortal = (portal, keyword) => {
+      const key = `${portal.url}|${portal.state || ''}|${portal.city || ''}`;
+      if (!documents.has(key)) {
+        documents.set(key, { portal, keywords: [] });
+      }
+      documents.get(key).keywords.push(keyword);
+    };
+
+    keywordMap.forEach((portals, keyword) => {
+      portals.forEach(portal => addPortal(portal, keyword));
     });
 
-    // Add state-specific services
-    if (this.portals.state_specific) {
-      Object.entries(this.portals.state_specific).forEach(([stateName, stateData]) => {
-        Object.entries(stateData).forEach(([serviceKey, serviceData]) => {
-          if (serviceData.services && Array.isArray(serviceData.services)) {
-            serviceData.services.forEach(keyword => {
-              if (!keywordMap.has(keyword.toLowerCase())) {
-                keywordMap.set(keyword.toLowerCase(), []);
-              }
-              keywordMap.get(keyword.toLowerCase()).push({
-                ...serviceData,
-                category: 'state_specific',
-                type: 'state',
-                state: stateName
-              });
-            });
-          }
-          
-          // Also map service names
-          if (serviceData.name && !keywordMap.has(serviceData.name.toLowerCase())) {
-            keywordMap.set(serviceData.name.toLowerCase(), []);
-          }
-          if (serviceData.name) {
-            keywordMap.get(serviceData.name.toLowerCase()).push({
-              ...serviceData,
-              category: 'state_specific',
-              type: 'state',
-              state: stateName
-            });
-          }
-        });
-      });
-    }
+    const index = new Bm25Index({ fieldWeights: INDEX_FIELD_WEIGHTS, stopWords: INDEX_STOP_WORDS });
+    documents.forEach(({ portal, keywords }) => {
+      index.add(portal, { name: portal.name, description: portal.description, keywords: keywords });
+    });
 
-    // Add detailed state services
-    if (this.portals.detailed_state_services) {
-      Object.entries(this.portals.detailed_state_services).forEach(([stateName, stateServices]) => {
-        Object.entries(stateServices).forEach(([serviceCategory, serviceData]) => {
-          if (serviceData.services && Array.isArray(serviceData.services)) {
-            serviceData.services.forEach(keyword => {
-              if (!keywordMap.has(keyword.toLowerCase())) {
-                keywordMap.set(keyword.toLowerCase(), []);
-              }
-              keywordMap.get(keyword.toLowerCase()).push({
-                ...serviceData,
-                category: serviceCategory,
-                type: 'state_detailed',
-                state: stateName
-              });
-            });
-          }
-          
-          // Also map service names
-          if (serviceData.name && !keywordMap.has(serviceData.name.toLowerCase())) {
-            keywordMap.set(serviceData.name.toLowerCase(), []);
-          }
-          if (serviceData.name) {
-            keywordMap.get(serviceData.name.toLowerCase()).push({
-              ...serviceData,
-              category: serviceCategory,
-              type: 'state_detailed',
-              state: stateName
-            });
-          }
-        });
+    console.log(`[PortalMatcher] Indexed ${index.documents.length} portals, ${index.postings.size} terms`);
+    return index;
+  }
+
+  // Words of the keywords and portal names, for respelling query words
+  // words: index term -> the word as the dataset writes it; sounds: phonetic key -> index terms
+  buildVocabulary(keywordMap, index) {
+    const words = new Map();
+    const sounds = new Map();
+    const addText = (text) => {
+      tokenize(text).forEach(word => {
+        const term = stem(word);
+        if (INDEX_STOP_WORDS.has(word) || words.has(term) || !index.postings.has(term)) return;
+
+        words.set(term, word);
+        const key = phoneticKey(term);
+        if (!sounds.has(key)) sounds.set(key, []);
+        sounds.get(key).push(term);
       });
-    }
+    };
 
-    return keywordMap;
+    keywordMap.forEach((portals, keyword) => {
+      addText(keyword);
+      portals.forEach(portal => addText(portal.name));
+    });
+
+    return { words, sounds, corrections: new Map() };
+  }
+
+  // Known term a misspelt query term most likely meant, or null
+  // Returns { term, word, reason, distance }; a shared phonetic key beats edit distance,
+  // then fewer edits, then the term more portals use
+  correctTerm(term) {
+    const { words, sounds, corrections } = this.vocabulary;
+    if (term.length < SPELLING_MIN_LENGTH || this.index.postings.has(term)) return null;
+    if (corrections.has(term)) return corrections.get(term);
+
+    const short = term.length < SPELLING_EDIT_MIN_LENGTH;
+    const budget = short ? 0 : Math.floor(term.length / SPELLING_CHARS_PER_EDIT);
+    const soundsAlike = new Set(sounds.get(phoneticKey(term)) || []);
+    const candidates = [];
+
+    words.forEach((word, candidate) => {
+      const phonetic = soundsAlike.has(candidate) && (!short || Math.abs(word.length - term.length) <= 1);
+      if (!phonetic && (candidate[0] !== term[0] || Math.abs(candidate.length - term.length) > budget)) return;
+
+      const distance = this.levenshteinDistance(term, candidate);
+      if (phonetic || distance <= budget) {
+        candidates.push({ term: candidate, word, reason: phonetic ? 'phonetic' : 'edit_distance', distance });
+      }
+    });
+
+    candidates.sort((a, b) =>
+      (a.reason === 'phonetic' ? 0 : 1) - (b.reason === 'phonetic' ? 0 : 1) ||
+      a.distance - b.distance ||
+      this.index.postings.get(b.term).size - this.index.postings.get(a.term).size
+    );
+
+    const correction = candidates[0] || null;
+    corrections.set(term, correction);
+    return correction;
+  }
+
+  // Corrections for the unknown terms of a query: Map(term -> correction)
+  correctTerms(unknownTerms) {
+    const corrections = new Map();
+    unknownTerms.forEach(term => {
+      const correction = this.correctTerm(term);
+      if (correction) corrections.set(term, correction);
+    });
+    return corrections;
+  }
+
+  // "Did you mean" for a query with misspelt words, or null when no respelling finds a portal
+  // A respelling is only offered when an in-scope portal matches the respelled word above the
+  // ranking profile's min_relevance. Returns { text, corrections: [{ from, to, reason }] }
+  // with the query's other words unchanged
+  didYouMean(query, state = null, city = null, profileName = null) {
+    const { state: normalizedState, city: normalizedCity } = this.locationKeys(state, city);
+    const profile = rankingProfiles.resolve(profileName);
+    const queryTerms = this.index.queryTerms(query);
+    const termCorrections = this.correctTerms(queryTerms.unknown);
+    if (termCorrections.size === 0) return null;
+
+    const searchTerms = queryTerms.all.map(term => termCorrections.has(term) ? termCorrections.get(term).term : term);
+    const found = new Set();
+    this.index.search(searchTerms, portal => this.inScope(portal, normalizedState, normalizedCity))
+      .filter(hit => hit.relevance >= profile.min_relevance)
+      .forEach(hit => hit.matchedTerms.forEach(term => found.add(term)));
+
+    const corrections = [];
+    const words = tokenize(query).map(word => {
+      if (INDEX_STOP_WORDS.has(word)) return word;
+
+      const correction = termCorrections.get(stem(word));
+      if (!correction || !found.has(correction.term)) return word;
+      corrections.push({ from: word, to: correction.word, reason: correction.reason });
+      return correction.word;
+    });
+
+    return corrections.length > 0 ? { text: words.join(' '), corrections } : null;
+  }
+
+  // State and city as the dataset keys them ("Greater Mumbai*" -> "greater_mumbai"); a city only counts within a state
+  locationKeys(state = null, city = null) {
+    const normalizedState = state ? state.toLowerCase().replace(/\s+/g, '_') : null;
+    return { state: normalizedState, city: normalizedState && city ? cityKey(city) : null };
+  }
+
+  // State portals only apply to searches in their own state, and city portals to searches
+  // in their own city; national searches (no state) match central government and common portals only
+  inScope(portal, normalizedState, normalizedCity = null) {
+    if (portal.city) return portal.state === normalizedState && portal.city === normalizedCity;
+    return !portal.state || portal.state === normalizedState;
+  }
+
+  // Level of government a portal belongs to: municipal or district (city layer), state or central
+  administrativeLevel(portal) {
+    if (portal.city) return portal.level || 'municipal';
+    return portal.state ? 'state' : 'central';
   }
 
   // Find matching portals based on user query
-  findMatchingPortals(query, state = null, city = null) {
+  // BM25 over portal names, descriptions and service keywords; the ranking profile's boosts go on top.
+  // Queries the index can't place fall back to fuzzy keyword similarity, then the city's and state's own portals.
+  // The city's portals are resolved first, then the state's, then central ones: equal scores go to the more local level.
+  // `profile` names a ranking profile to use instead of the active one. With `explain`, each match
+  // carries `explanation`: its pass, scoring components and BM25 terms
+  findMatchingPortals(query, state = null, city = null, { explain = false, profile: profileName = null } = {}) {
+    const profile = rankingProfiles.resolve(profileName);
     const queryLower = query.toLowerCase();
     const matches = [];
     const seenUrls = new Set();
+    const addMatch = (portal, pass, components, extra = {}) => {
+      const score = components.reduce((total, part) => total + part.contribution, 0);
+      matches.push({
+        ...portal,
+        ...extra.fields,
+        relevanceScore: parseFloat(score.toFixed(3)),
+        bm25Score: extra.bm25Score || 0,
+        ...(extra.matchedTerms && { matchedTerms: extra.matchedTerms }),
+        ...(explain && { explanation: { pass, matched_terms: extra.matchedTerms || [], components, ...extra.details } })
+      });
+      seenUrls.add(portal.url);
+    };
     
     console.log(`[DEBUG] Searching for "${query}" in state: ${state || 'none'}`);
 
-    // Normalize state name for comparison
-    const normalizedState = state ? state.toLowerCase().replace(/\s+/g, '_') : null;
+    // Normalize state and city names for comparison
+    const { state: normalizedState, city: normalizedCity } = this.locationKeys(state, city);
+    const inScope = portal => this.inScope(portal, normalizedState, normalizedCity);
     
-    // Direct keyword matching
-    let directMatches = 0;
-    this.keywordMap.forEach((portals, keyword) => {
-      if (queryLower.includes(keyword) || keyword.includes(queryLower)) {
-        directMatches++;
-        portals.forEach(portal => {
-          if (!seenUrls.has(portal.url)) {
-            let score = this.calculateRelevance(queryLower, keyword, portal, state);
-            
-            // Boost state-specific portals when state is provided
-            if (state && portal.type === 'state' && portal.state === normalizedState) {
-              score += 0.5; // Significant boost for matching state
-            } else if (state && (portal.type === 'state_detailed' || portal.type === 'state') && portal.state === normalizedState) {
-              score += 0.4; // Good boost for state detailed services
-            }
-            matches.push({
-              ...portal,
-              relevanceScore: score,
-              matchedKeyword: keyword
-            });
-            seenUrls.add(portal.url);
-          }
-        });
+    // Misspelt words are looked up as the known word they most likely mean
+    const queryTerms = this.index.queryTerms(query);
+    const corrections = this.correctTerms(queryTerms.unknown);
+    const searchTerms = queryTerms.all.map(term => corrections.has(term) ? corrections.get(term).term : term);
+
+    // Ranked lookup in the inverted index, keeping each portal's best document
+    const hits = this.index.search(searchTerms, inScope, { explain });
+    hits.forEach(({ document: portal, score, relevance, matchedTerms, terms: termScores }) => {
+      if (relevance < profile.min_relevance || seenUrls.has(portal.url)) return;
+
+      const components = [
+        this.component('relevance', relevance, profile.weights.relevance),
+        ...this.boostComponents(matchedTerms, profile)
+      ];
+      // Boost the searcher's own city and state portals: general state portals and per-service ones are weighted separately
+      if (portal.city) {
+        const level = this.administrativeLevel(portal);
+        components.push(this.component('own_city_portal', 1, (profile.city_affinity || {})[level] || 0, `${portal.city} (${level})`));
+      } else if (state && portal.state === normalizedState) {
+        components.push(portal.type === 'state'
+          ? this.component('own_state_portal', 1, profile.state_affinity.state_portal, portal.state)
+          : this.component('own_state_service', 1, profile.state_affinity.state_service, portal.state));
       }
+      const recency = this.verificationComponent(portal, profile);
+      if (recency) components.push(recency);
+
+      addMatch(portal, 'direct', components, {
+        matchedTerms,
+        bm25Score: score,
+        details: explain && {
+          corrected_terms: [...corrections.entries()]
+            .filter(([, correction]) => matchedTerms.includes(correction.term))
+            .map(([from, correction]) => ({ from, to: correction.term, reason: correction.reason })),
+          bm25: { score: parseFloat(score.toFixed(3)), terms: termScores.map(this.roundTermScore) }
+        }
+      });
     });
 
     // Fuzzy matching for partial matches
     if (matches.length === 0) {
       this.keywordMap.forEach((portals, keyword) => {
         const similarity = this.calculateSimilarity(queryLower, keyword);
-        if (similarity > 0.3) { // 30% similarity threshold
+        if (similarity > FUZZY_MIN_SIMILARITY) {
           portals.forEach(portal => {
-            if (!seenUrls.has(portal.url)) {
-              matches.push({
-                ...portal,
-                relevanceScore: similarity
-              });
-              seenUrls.add(portal.url);
+            if (!seenUrls.has(portal.url) && inScope(portal)) {
+              addMatch(portal, 'fuzzy', [this.component('fuzzy_similarity', similarity, profile.weights.fuzzy_similarity, keyword)]);
             }
           });
         }
       });
     }
 
-    // Enhanced state-specific matching
-    if (state) {
-      const stateKey = state.toLowerCase().replace(/\s+/g, '_');
-      const statePortals = this.portals.state_specific[stateKey];
-      
-      if (statePortals) {
-        // Check if query mentions the state name
-        const stateInQuery = queryLower.includes(state.toLowerCase());
-        
-        Object.entries(statePortals).forEach(([serviceType, portal]) => {
-          if (portal.services) {
-            portal.services.forEach(service => {
-              if (queryLower.includes(service.toLowerCase()) || service.toLowerCase().includes(queryLower)) {
-                if (!seenUrls.has(portal.url)) {
-                  matches.push({
-                    ...portal,
-                    relevanceScore: stateInQuery ? 0.95 : 0.85, // Higher score if state mentioned
-                    type: 'state',
-                    matchedKeyword: service
-                  });
-                  seenUrls.add(portal.url);
-                }
-              }
-            });
-          }
+    // If nothing matched a generic query (like just "electricity bill"), offer the city's portals, then the state's
+    if (state && matches.length === 0) {
+      const cityPortals = normalizedCity ? ((this.portals.municipal_services || {})[normalizedState] || {})[normalizedCity] : null;
+      const statePortals = (this.portals.state_specific || {})[normalizedState];
+      const offer = (portals, fields) => {
+        Object.entries(portals || {}).forEach(([serviceType, portal]) => {
+          if (seenUrls.has(portal.url)) return;
+          addMatch(portal, 'state_generic', [this.component('state_generic', 1, profile.weights.state_generic, serviceType)], { fields });
         });
-        
-        // If no specific matches but query is generic (like just "electricity bill")
-        if (matches.length === 0) {
-          Object.entries(statePortals).forEach(([serviceType, portal]) => {
-            matches.push({
-              ...portal,
-              relevanceScore: 0.7,
-              type: 'state'
-            });
-          });
-        }
-      }
+      };
+
+      offer(cityPortals, { type: 'municipal', state: normalizedState, city: normalizedCity });
+      offer(statePortals, { type: 'state', state: normalizedState });
     }
 
-    // Sort by relevance score
-    const sortedMatches = matches.sort((a, b) => b.relevanceScore - a.relevanceScore);
+    // Highest score first; equal scores go to the more local portal, then the higher raw BM25 score (never capped)
+    const levelRank = match => ADMINISTRATIVE_LEVELS.indexOf(this.administrativeLevel(match));
+    const sortedMatches = matches.sort((a, b) =>
+      b.relevanceScore - a.relevanceScore || levelRank(a) - levelRank(b) || b.bm25Score - a.bm25Score
+    );
     
     if (sortedMatches.length > 0) {
       console.log(`[DEBUG] Found ${sortedMatches.length} matches, top: ${sortedMatches[0].name} (score: ${sortedMatches[0].relevanceScore})`);
@@ -226,28 +539,71 @@ class PortalMatcher {
     return sortedMatches;
   }
 
-  // Calculate relevance score
-  calculateRelevance(query, keyword, portal, state = null) {
-    let score = 0;
-    
-    // Exact match gets highest score
-    if (query === keyword) score += 1.0;
-    else if (query.includes(keyword)) score += 0.8;
-    else if (keyword.includes(query)) score += 0.6;
-    
-    // Boost popular services
-    const popularServices = ['passport', 'aadhaar', 'pan', 'driving license', 'voter id', 'income tax'];
-    if (popularServices.some(service => keyword.includes(service))) {
-      score += 0.2;
-    }
-    
-    // Additional boost for utility services (electricity, water, gas)
-    const utilityServices = ['electricity', 'water', 'gas', 'lpg'];
-    if (utilityServices.some(service => keyword.includes(service))) {
-      score += 0.1;
-    }
-    
-    return Math.min(score, 1.0);
+  // One named part of a match score: `value` times the profile's weight for it
+  component(name, value, weight, detail = null) {
+    return {
+      name,
+      value: parseFloat(value.toFixed(3)),
+      weight,
+      contribution: parseFloat((value * weight).toFixed(3)),
+      ...(detail && { detail })
+    };
+  }
+
+  // A BM25 term breakdown with readable numbers
+  roundTermScore({ term, idf, frequency, fields, score }) {
+    return { term, idf: parseFloat(idf.toFixed(3)), weighted_frequency: frequency, fields, score: parseFloat(score.toFixed(3)) };
+  }
+
+  // Boost components for each of the profile's term groups the query names
+  // A group's term counts when every one of its words was matched
+  boostComponents(matchedTerms, profile) {
+    const matched = new Set(matchedTerms);
+    const components = [];
+
+    Object.entries(profile.boosted_terms).forEach(([group, { weight, terms: groupTerms }]) => {
+      const named = groupTerms.find(term => terms(term).every(word => matched.has(word)));
+      if (named) components.push(this.component(group, 1, weight, named));
+    });
+    return components;
+  }
+
+  // Recently verified portals gain up to the profile's verification weight, halving every half-life
+  // Portals without a `last_verified` date get nothing
+  verificationComponent(portal, profile) {
+    const { weight, half_life_days: halfLife } = profile.verification;
+    if (!portal.last_verified || weight === 0) return null;
+
+    const ageDays = Math.max(Date.now() - Date.parse(portal.last_verified), 0) / DAY_MS;
+    return this.component('verification_recency', Math.pow(0.5, ageDays / halfLife), weight, portal.last_verified);
+  }
+
+  // Every match for a query with the reasons it ranked where it did
+  // Returns { query_terms, unknown_terms, did_you_mean, ranking_profile, min_relevance, field_weights, matches }
+  explainMatches(query, state = null, city = null, limit = 5, profileName = null) {
+    const { known, unknown } = this.index.queryTerms(query);
+    const profile = rankingProfiles.resolve(profileName);
+    const matches = this.findMatchingPortals(query, state, city, { explain: true, profile: profile.name });
+
+    return {
+      query_terms: known,
+      unknown_terms: unknown,
+      did_you_mean: this.didYouMean(query, state, city, profile.name),
+      ranking_profile: profile.name,
+      min_relevance: profile.min_relevance,
+      field_weights: INDEX_FIELD_WEIGHTS,
+      total_matches: matches.length,
+      matches: matches.slice(0, limit).map(match => ({
+        portal_link: match.url,
+        portal_name: match.name,
+        portal_type: match.type,
+        portal_state: match.state || null,
+        portal_city: match.city || null,
+        administrative_level: this.administrativeLevel(match),
+        relevance_score: match.relevanceScore,
+        ...match.explanation
+      }))
+    };
   }
 
   // Calculate string similarity
@@ -283,8 +639,9 @@ class PortalMatcher {
   }
 
   // Get the best matching portal for a query
-  getBestPortal(query, state = null, city = null) {
-    const matches = this.findMatchingPortals(query, state, city);
+  // `options.profile` ranks with a named ranking profile instead of the active one
+  getBestPortal(query, state = null, city = null, options = {}) {
+    const matches = this.findMatchingPortals(query, state, city, options);
     
     if (matches.length > 0) {
       const bestMatch = matches[0];
@@ -292,7 +649,9 @@ class PortalMatcher {
       return {
         portal_link: bestMatch.url,
         portal_description: bestMatch.description,
-        portal_name: bestMatch.name
+        portal_name: bestMatch.name,
+        administrative_level: this.administrativeLevel(bestMatch),
+        relevance_score: parseFloat(Math.min(bestMatch.relevanceScore, 1).toFixed(3))
       };
     }
     
@@ -301,17 +660,97 @@ class PortalMatcher {
     return {
       portal_link: this.portals.common_portals.india_gov.url,
       portal_description: this.portals.common_portals.india_gov.description,
-      portal_name: this.portals.common_portals.india_gov.name
+      portal_name: this.portals.common_portals.india_gov.name,
+      administrative_level: 'central',
+      relevance_score: 0
+    };
+  }
+
+  // Rank portals for a single service card using its own title, category and description
+  // Title hits count most, and a hit only counts for the share of the field's words it matches,
+  // so one word of a long description can't carry a card. The query-level portal (`fallbackPortal`,
+  // scored by its query relevance or its card match, whichever is higher) stays primary unless a
+  // multi-term card match outscores it; one-word hits on other portals always rank below it
+  getServicePortals(service, state = null, city = null, limit = 3, fallbackPortal = null) {
+    const fields = [
+      { text: service.title, weight: 1.0 },
+      { text: service.description, weight: 0.8 },
+      { text: service.category, weight: 0.6 }
+    ];
+    const candidates = new Map();
+    const normalizedState = state ? state.toLowerCase().replace(/\s+/g, '_') : null;
+
+    fields.forEach(({ text, weight }) => {
+      if (!text || typeof text !== 'string') return;
+      const fieldTerms = this.index.queryTerms(text).all.length;
+
+      this.findMatchingPortals(text, state, city).forEach(match => {
+        // Only index hits count - fuzzy and generic state fallbacks are too noisy for card text
+        if (!match.matchedTerms) return;
+        // Never suggest another state's portal on a card
+        if (normalizedState && match.state && match.state !== normalizedState) return;
+
+        // Ranked on the full score; the reported relevance is capped at 1
+        const coverage = Math.min(match.matchedTerms.length / fieldTerms, 1);
+        const corroborated = Boolean(fallbackPortal) && match.url === fallbackPortal.portal_link;
+        const strong = match.matchedTerms.length > 1 || corroborated;
+        const score = match.relevanceScore * weight * coverage * (strong ? 1 : CARD_SINGLE_TERM_WEIGHT);
+        const existing = candidates.get(match.url);
+        if (existing && existing.score >= score) {
+          existing.strong = existing.strong || strong;
+          return;
+        }
+        candidates.set(match.url, {
+          score,
+          strong: strong || Boolean(existing && existing.strong),
+          portal: {
+            portal_link: match.url,
+            portal_description: match.description,
+            portal_name: match.name,
+            administrative_level: this.administrativeLevel(match),
+            relevance_score: parseFloat(Math.min(score, 1).toFixed(3))
+          }
+        });
+      });
+    });
+
+    if (fallbackPortal) {
+      const cardMatch = candidates.get(fallbackPortal.portal_link);
+      const score = Math.max(cardMatch ? cardMatch.score : 0, fallbackPortal.relevance_score || 0);
+      candidates.set(fallbackPortal.portal_link, {
+        score,
+        strong: true,
+        portal: { ...fallbackPortal, relevance_score: parseFloat(Math.min(score, 1).toFixed(3)) }
+      });
+    }
+
+    const byScore = (a, b) => b.score - a.score;
+    const entries = [...candidates.values()];
+    const ranked = [
+      ...entries.filter(candidate => candidate.strong).sort(byScore),
+      ...entries.filter(candidate => !candidate.strong).sort(byScore)
+    ].map(candidate => candidate.portal);
+
+    // Keep the query-level portal as an alternative when stronger card matches fill the list
+    const portals = ranked.slice(0, limit);
+    if (fallbackPortal && limit > 1 && !portals.some(portal => portal.portal_link === fallbackPortal.portal_link)) {
+      portals[limit - 1] = candidates.get(fallbackPortal.portal_link).portal;
+    }
+
+    return {
+      portals,
+      confidence: portals.length > 0 ? portals[0].relevance_score : 0
     };
   }
 
   // Get multiple relevant portals
-  getRelevantPortals(query, state = null, city = null, limit = 3) {
-    const matches = this.findMatchingPortals(query, state, city);
+  getRelevantPortals(query, state = null, city = null, limit = 3, options = {}) {
+    const matches = this.findMatchingPortals(query, state, city, options);
     return matches.slice(0, limit).map(match => ({
       portal_link: match.url,
       portal_description: match.description,
       portal_name: match.name,
+      administrative_level: this.administrativeLevel(match),
       relevance_score: match.relevanceScore
     }));
   }
@@ -0,0 +1,71 @@
+/**
+ * Word tokenization and light stemming shared by portal search and intent classification
+ */
+
+// Function words that never distinguish one portal from another
+const STOP_WORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'for', 'in', 'on', 'at', 'to', 'by', 'with', 'from', 'into',
+  'is', 'are', 'be', 'was', 'were', 'it', 'its', 'this', 'that', 'these', 'those', 'as',
+  'i', 'me', 'my', 'we', 'our', 'you', 'your', 'how', 'what', 'which', 'where', 'when', 'do', 'does',
+  'can', 'want', 'need', 'get', 'please', 'all', 'any', 'etc'
+]);
+
+/**
+ * Lowercase word tokens of a piece of text, split on anything that isn't a letter or digit
+ */
+function tokenize(text) {
+  return (String(text).toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || []);
+}
+
+/**
+ * Strip plural and -ing endings so "linking" matches "link", "certificates"
+ * matches "certificate" and "facilities" matches "facility"
+ */
+function stem(word) {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.length > 3 && word.endsWith('s') && !/(?:ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+// Spelling rules for Indian-English transliteration, applied in order: aspirated
+// consonants, "tion"/"sh", soft c, w/v, z/j, doubled letters and long vowels
+// each collapse to one form ("aadhaar" ~ "adhar", "ration" ~ "rashan" ~ "rasan")
+const PHONETIC_RULES = [
+  [/[^a-z]/g, ''],
+  [/tion|sion/g, 'shan'],
+  [/chh|ch/g, 'C'],
+  [/c(?=[eiy])/g, 's'],
+  [/ck|c|q/g, 'k'],
+  [/x/g, 'ks'],
+  [/ph/g, 'f'],
+  [/([kgjtdbsC])h/g, '$1'],
+  [/w/g, 'v'],
+  [/z/g, 'j'],
+  [/ee|ii|ie/g, 'i'],
+  [/oo|uu/g, 'u'],
+  [/au/g, 'o'],
+  [/ai|ay/g, 'e'],
+  [/(.)\1+/g, '$1'],
+  [/C/g, 'c']
+];
+
+/**
+ * Sound-alike key of a word: spellings of one transliterated word share a key
+ * ("licence"/"license", "khatauni"/"khatoni"); vowels are kept so "water" and
+ * "weather" stay apart
+ */
+function phoneticKey(word) {
+  return PHONETIC_RULES.reduce((key, [pattern, replacement]) => key.replace(pattern, replacement), word.toLowerCase());
+}
+
+/**
+ * Index terms of a piece of text: tokens without stopwords or single characters, stemmed
+ */
+function terms(text, stopWords = STOP_WORDS) {
+  return tokenize(text)
+    .filter(token => token.length > 1 && !stopWords.has(token))
+    .map(stem);
+}
+
+module.exports = { STOP_WORDS, tokenize, stem, terms, phoneticKey };
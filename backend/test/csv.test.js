@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCsv, toCsv } = require('../services/csv');
+
+// The CSV text written for a single cell
+const cell = (value) => toCsv([{ value }], ['value']).slice('value\r\n'.length, -'\r\n'.length);
+
+test('toCsv prefixes cells a spreadsheet would run as formulas', () => {
+  assert.strictEqual(cell('=HYPERLINK("http://evil.example","click")'), `"'=HYPERLINK(""http://evil.example"",""click"")"`);
+  assert.strictEqual(cell('+91 1800 11 1555'), "'+91 1800 11 1555");
+  assert.strictEqual(cell('-2+3'), "'-2+3");
+  assert.strictEqual(cell('@SUM(A1:A2)'), "'@SUM(A1:A2)");
+  assert.strictEqual(cell('\tcmd'), "'\tcmd");
+  assert.strictEqual(cell('\r=1'), `"'\r=1"`);
+});
+
+test('toCsv leaves ordinary text and numbers alone', () => {
+  const csv = toCsv([{ item: -1, query: 'passport, renewal', fees: 'Rs. 1500' }], ['item', 'query', 'fees']);
+
+  assert.strictEqual(csv, 'item,query,fees\r\n-1,"passport, renewal",Rs. 1500\r\n');
+});
+
+test('a prefixed cell reads back as the original text plus the quote', () => {
+  const [row] = parseCsv(toCsv([{ contact: '=1+1' }], ['contact']));
+
+  assert.strictEqual(row.contact, "'=1+1");
+});
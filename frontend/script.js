@@ -12,6 +12,10 @@ if (typeof AOS !== 'undefined') {
 // Global state management
 let statesData = [];
 let isSearching = false;
+let currentSessionId = null; // Server-side session for follow-up questions
+
+// Labels for the level of government a matched portal belongs to
+const ADMINISTRATIVE_LEVEL_LABELS = { municipal: 'Municipal', district: 'District', state: 'State', central: 'Central' };
 
 // Get API URL based on environment
 function getApiUrl(endpoint) {
@@ -70,7 +74,7 @@ function handleStateChange() {
   const citySelect = document.getElementById("city");
   
   // Reset city select
-  citySelect.innerHTML = '<option value="">Select City</option>';
+  citySelect.innerHTML = '<option value="">Whole state</option>';
   citySelect.disabled = true;
   
   const selectedState = stateSelect.value;
@@ -105,6 +109,7 @@ function handleSearch(e) {
   const query = document.getElementById("query").value.trim();
   const state = document.getElementById("state").value;
   const city = document.getElementById("city").value;
+  const responseLanguage = document.getElementById("responseLanguage").value;
   
   // Validation
   if (!query) {
@@ -113,28 +118,36 @@ function handleSearch(e) {
     return;
   }
   
-  if (!state) {
-    showNotification("Please select a state", "error");
-    document.getElementById("state").focus();
-    return;
-  }
-  
-  if (!city) {
-    showNotification("Please select a city", "error");
-    document.getElementById("city").focus();
-    return;
-  }
+  // State and city are optional: leaving them out searches state-wide or across India
   
-  console.log("[INFO] Searching for:", { query, state, city });
+  console.log("[INFO] Searching for:", { query, state, city, responseLanguage });
   
   // Start loading state
+  hideSuggestions();
   setSearchLoading(true);
+  resetFollowUp();
+  showDidYouMean(null);
   
-  // API call
+  // Stream results when the browser supports Server-Sent Events
+  if (window.EventSource) {
+    streamSearch(query, state, city, responseLanguage);
+  } else {
+    fetchSearch(query, state, city, responseLanguage);
+  }
+}
+
+// Describe the searched location, widening to the state or all of India
+function locationLabel(state, city) {
+  if (city) return `${city}, ${state}`;
+  return state || 'all of India';
+}
+
+// Fetch the complete search response in one request
+function fetchSearch(query, state, city, responseLanguage = 'en') {
   fetch(getApiUrl('search'), {
     method: "POST",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ query, state, city })
+    body: JSON.stringify({ query, state, city, response_language: responseLanguage })
   })
     .then(async (res) => {
       if (!res.ok) {
@@ -146,14 +159,9 @@ function handleSearch(e) {
     .then((data) => {
       console.log("[INFO] Search results:", data);
       displayResults(data, query, city, state);
-      
-      // Scroll to results with smooth animation
-      setTimeout(() => {
-        document.getElementById('results').scrollIntoView({ 
-          behavior: 'smooth',
-          block: 'start'
-        });
-      }, 300);
+      startFollowUp(data.session_id);
+      notifyIfDegraded(data);
+      scrollToResults();
     })
     .catch((err) => {
       console.error("[ERROR] Search failed:", err);
@@ -165,6 +173,85 @@ function handleSearch(e) {
     });
 }
 
+// Stream search results, rendering each service card as it arrives
+function streamSearch(query, state, city, responseLanguage = 'en') {
+  const params = new URLSearchParams({ query, state, city, response_language: responseLanguage });
+  const source = new EventSource(`${getApiUrl('search/stream')}?${params.toString()}`);
+  let serviceCount = 0;
+  let finished = false;
+
+  beginStreamingResults(query, city, state);
+
+  source.addEventListener('portal', (event) => {
+    console.log("[INFO] Matched portal:", JSON.parse(event.data));
+  });
+
+  source.addEventListener('service', (event) => {
+    const service = JSON.parse(event.data);
+    appendServiceCard(service, serviceCount);
+    serviceCount++;
+    
+    document.getElementById('resultsQuery').textContent =
+      `Found ${serviceCount} service${serviceCount === 1 ? '' : 's'} for "${query}" in ${locationLabel(state, city)}`;
+    
+    if (serviceCount === 1) {
+      scrollToResults();
+    }
+  });
+
+  source.addEventListener('done', (event) => {
+    finished = true;
+    source.close();
+    const summary = JSON.parse(event.data);
+    console.log("[INFO] Search stream complete:", summary);
+    
+    if (serviceCount === 0) {
+      displayNoResults(query, summary.message);
+    } else {
+      startFollowUp(summary.session_id);
+    }
+    showDidYouMean(summary.did_you_mean);
+    notifyIfDegraded(summary);
+    setSearchLoading(false);
+  });
+
+  // Fires for both server-sent error events and dropped connections
+  source.addEventListener('error', (event) => {
+    if (finished) return;
+    finished = true;
+    source.close();
+    console.error("[ERROR] Search stream failed:", event.data || event);
+    
+    if (serviceCount === 0) {
+      // Nothing rendered yet - retry with a regular request
+      fetchSearch(query, state, city, responseLanguage);
+    } else {
+      showNotification("Some results may be missing. Please try again.", "error");
+      setSearchLoading(false);
+    }
+  });
+}
+
+// Tell the user when results come from the portal dataset only
+function notifyIfDegraded(data) {
+  if (data && data.degraded) {
+    const message = data.degraded_reason === 'budget_exceeded'
+      ? "Our AI assistant has reached its usage limit for now. Showing official portals only."
+      : "Our AI assistant is temporarily unavailable. Showing official portals only.";
+    showNotification(message, "error");
+  }
+}
+
+// Scroll to results with smooth animation
+function scrollToResults() {
+  setTimeout(() => {
+    document.getElementById('results').scrollIntoView({ 
+      behavior: 'smooth',
+      block: 'start'
+    });
+  }, 300);
+}
+
 // Set loading state for search button
 function setSearchLoading(loading) {
   isSearching = loading;
@@ -195,13 +282,14 @@ function displayResults(data, query, city, state) {
   const serviceCards = document.getElementById('serviceCards');
   
   // Update results header
-  resultsQuery.textContent = `Found ${data.services?.length || 0} services for "${query}" in ${city}, ${state}`;
+  resultsQuery.textContent = `Found ${data.services?.length || 0} services for "${query}" in ${locationLabel(state, city)}`;
+  showDidYouMean(data.did_you_mean);
   
   // Clear previous results
   serviceCards.innerHTML = '';
   
   if (!data.services || data.services.length === 0) {
-    displayNoResults(query);
+    displayNoResults(query, data.message);
     return;
   }
   
@@ -224,6 +312,47 @@ function displayResults(data, query, city, state) {
   });
 }
 
+// Offer the respelled query when the server recognised misspelt words
+// Clicking it searches again with the suggested spelling
+function showDidYouMean(suggestion) {
+  const element = document.getElementById('didYouMean');
+  element.innerHTML = '';
+
+  if (!suggestion) {
+    element.classList.add('hidden');
+    return;
+  }
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.textContent = suggestion.text;
+  button.addEventListener('click', () => {
+    document.getElementById('query').value = suggestion.text;
+    document.getElementById('searchForm').requestSubmit();
+  });
+
+  element.append('Did you mean ', button, '?');
+  element.classList.remove('hidden');
+}
+
+// Prepare the results section for streamed service cards
+function beginStreamingResults(query, city, state) {
+  document.getElementById('resultsQuery').textContent = `Searching services for "${query}" in ${locationLabel(state, city)}...`;
+  document.getElementById('serviceCards').innerHTML = '';
+  document.getElementById('results').classList.remove('hidden');
+}
+
+// Append a single streamed service card and animate it in
+function appendServiceCard(service, index) {
+  const serviceCard = createServiceCard(service, index);
+  document.getElementById('serviceCards').appendChild(serviceCard);
+  
+  setTimeout(() => {
+    serviceCard.style.opacity = '1';
+    serviceCard.style.transform = 'translateY(0)';
+  }, 50);
+}
+
 // Create service card element
 function createServiceCard(service, index) {
   const card = document.createElement('div');
@@ -260,13 +389,20 @@ function createServiceCard(service, index) {
     
     <p class="service-description">${service.description || 'Service information not available.'}</p>
     
+    ${service.provenance ? `
+      <div class="provenance-note">
+        <i class="fas fa-robot"></i>
+        AI-generated details - verify before visiting. Portal links come from our curated list of official sites.
+      </div>
+    ` : ''}
+    
     <div class="service-details">
       <div class="detail-item">
         <div class="detail-label">
           <i class="fas fa-building"></i>
           Office
         </div>
-        <div class="detail-content">${service.office || 'Contact local government office'}</div>
+        <div class="detail-content">${service.office || 'Contact local government office'}${provenanceBadge(service, 'office')}</div>
       </div>
       
       <div class="detail-item">
@@ -275,7 +411,7 @@ function createServiceCard(service, index) {
           Location
         </div>
         <div class="detail-content">
-          ${service.location || 'Location details not available'}
+          ${service.location || 'Location details not available'}${provenanceBadge(service, 'location')}
           ${service.location && service.location !== 'Location details not available' ? `
             <div class="location-actions">
               <button class="view-map-btn" onclick="openMapModal('${service.office || 'Government Office'}', '${service.location}', '${service.contact || ''}', '${service.title || 'Government Service'}')">
@@ -308,7 +444,7 @@ function createServiceCard(service, index) {
           <i class="fas fa-phone"></i>
           Contact
         </div>
-        <div class="detail-content">${service.contact || 'Visit office for contact details'}</div>
+        <div class="detail-content">${service.contact || 'Visit office for contact details'}${provenanceBadge(service, 'contact')}</div>
       </div>
       
       <div class="detail-item">
@@ -337,12 +473,19 @@ function createServiceCard(service, index) {
         <div class="detail-label" style="margin-bottom: 0.5rem;">
           <i class="fas fa-globe"></i>
           ${service.portal_name || 'Official Government Portal'}
+          ${levelBadge(service.portal_level)}
         </div>
         <p style="color: #4a5568; margin-bottom: 1rem; line-height: 1.5;">${service.portal_description || 'Access this service through the official government portal'}</p>
         <a href="${service.portal_link}" target="_blank" class="portal-link-btn" style="display: inline-flex; align-items: center; gap: 0.5rem; padding: 0.75rem 1.5rem; background: linear-gradient(135deg, #667eea, #764ba2); color: white; text-decoration: none; border-radius: 8px; font-weight: 600; transition: all 0.3s ease; box-shadow: 0 4px 15px rgba(102, 126, 234, 0.3);">
           <i class="fas fa-external-link-alt"></i>
           Visit ${service.portal_name || 'Portal'}
         </a>
+        ${typeof service.portal_confidence === 'number' ? `
+          <span class="portal-confidence" style="margin-left: 0.75rem; font-size: 0.85rem; color: #718096;">
+            ${Math.round(service.portal_confidence * 100)}% match
+          </span>
+        ` : ''}
+        ${createAlternativePortals(service)}
       </div>
     ` : ''}
   `;
@@ -350,14 +493,143 @@ function createServiceCard(service, index) {
   return card;
 }
 
+// Mark an office, location or contact as checked against official data or not
+function provenanceBadge(service, field) {
+  const provenance = service.provenance && service.provenance[field];
+  if (provenance === 'verified') {
+    return `<span class="provenance-badge verified" title="Matches our curated official contacts"><i class="fas fa-check-circle"></i> Verified</span>`;
+  }
+  if (provenance === 'unverified') {
+    return `<span class="provenance-badge unverified" title="AI-generated and not found in official data - verify before visiting or calling"><i class="fas fa-exclamation-triangle"></i> Unverified</span>`;
+  }
+  return '';
+}
+
+// Label a portal with the level of government it belongs to
+function levelBadge(level) {
+  if (!ADMINISTRATIVE_LEVEL_LABELS[level]) return '';
+  return `<span class="level-badge ${level}">${ADMINISTRATIVE_LEVEL_LABELS[level]}</span>`;
+}
+
+// List alternative portals ranked below the primary one
+function createAlternativePortals(service) {
+  const alternatives = (service.portal_links || []).filter(portal => portal.portal_link !== service.portal_link);
+  if (alternatives.length === 0) return '';
+  
+  return `
+    <div class="portal-alternatives" style="margin-top: 1rem;">
+      <div style="font-size: 0.85rem; color: #4a5568; margin-bottom: 0.5rem;">Also relevant:</div>
+      <ul style="list-style: none; padding: 0; margin: 0; display: flex; flex-direction: column; gap: 0.35rem;">
+        ${alternatives.map(portal => `
+          <li>
+            <a href="${portal.portal_link}" target="_blank" title="${portal.portal_description || ''}" style="color: #667eea; text-decoration: none; font-weight: 500;">
+              <i class="fas fa-link"></i> ${portal.portal_name || portal.portal_link}
+            </a>
+            ${levelBadge(portal.administrative_level)}
+          </li>
+        `).join('')}
+      </ul>
+    </div>
+  `;
+}
+
+// Show the follow-up box for a search that opened a session
+function startFollowUp(sessionId) {
+  currentSessionId = sessionId || null;
+  document.getElementById('followUp').classList.toggle('hidden', !currentSessionId);
+}
+
+// Drop the current conversation and clear its thread
+function resetFollowUp() {
+  currentSessionId = null;
+  document.getElementById('followUpThread').innerHTML = '';
+  document.getElementById('followUpInput').value = '';
+  document.getElementById('followUp').classList.add('hidden');
+}
+
+// Ask a follow-up question within the current session
+function handleFollowUp(e) {
+  e.preventDefault();
+  
+  const input = document.getElementById('followUpInput');
+  const question = input.value.trim();
+  if (!question || !currentSessionId) return;
+  
+  const button = document.querySelector('.follow-up-btn');
+  const entry = document.createElement('div');
+  entry.className = 'follow-up-entry';
+
+  // The question is user input, so it goes in as text rather than markup
+  const questionNode = document.createElement('div');
+  questionNode.className = 'follow-up-question';
+  const icon = document.createElement('i');
+  icon.className = 'fas fa-comment';
+  questionNode.append(icon, document.createTextNode(` ${question}`));
+
+  const answerNode = document.createElement('div');
+  answerNode.className = 'follow-up-answer';
+  answerNode.innerHTML = '<div class="follow-up-pending"><i class="fas fa-spinner fa-spin"></i> Looking into it...</div>';
+
+  entry.append(questionNode, answerNode);
+  document.getElementById('followUpThread').appendChild(entry);
+  input.value = '';
+  button.disabled = true;
+  
+  fetch(getApiUrl('search'), {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ session_id: currentSessionId, query: question })
+  })
+    .then(async (res) => {
+      if (res.status === 404) {
+        throw new Error('session_expired');
+      }
+      if (!res.ok) {
+        const errorText = await res.text();
+        throw new Error(`API Error: ${res.status} - ${errorText}`);
+      }
+      return res.json();
+    })
+    .then((data) => {
+      console.log("[INFO] Follow-up results:", data);
+      const answer = entry.querySelector('.follow-up-answer');
+      answer.innerHTML = '';
+      
+      (data.services || []).forEach((service, index) => {
+        const serviceCard = createServiceCard(service, index);
+        answer.appendChild(serviceCard);
+        setTimeout(() => {
+          serviceCard.style.opacity = '1';
+          serviceCard.style.transform = 'translateY(0)';
+        }, index * 150);
+      });
+    })
+    .catch((err) => {
+      console.error("[ERROR] Follow-up failed:", err);
+      entry.remove();
+      
+      if (err.message === 'session_expired') {
+        showNotification("This conversation has expired. Please search again.", "error");
+        resetFollowUp();
+      } else {
+        showNotification("Follow-up failed. Please try again.", "error");
+        input.value = question;
+      }
+    })
+    .finally(() => {
+      button.disabled = false;
+    });
+}
+
 // Display no results state
-function displayNoResults(query) {
+// `message` is the server's explanation when it declined an off-topic query
+function displayNoResults(query, message = null) {
   const serviceCards = document.getElementById('serviceCards');
   serviceCards.innerHTML = `
     <div class="no-results" style="text-align: center; padding: 3rem; color: #718096;">
       <i class="fas fa-search" style="font-size: 3rem; margin-bottom: 1rem; color: #cbd5e0;"></i>
-      <h3 style="margin-bottom: 1rem; color: #4a5568;">No Services Found</h3>
-      <p>We couldn't find any services matching "${query}". Try rephrasing your search or contact your local government office directly.</p>
+      <h3 style="margin-bottom: 1rem; color: #4a5568;">${message ? 'Not a Government Service' : 'No Services Found'}</h3>
+      <p>${message || `We couldn't find any services matching "${query}". Try rephrasing your search or contact your local government office directly.`}</p>
       <div style="margin-top: 2rem;">
         <button onclick="clearSearch()" style="padding: 0.75rem 2rem; background: #667eea; color: white; border: none; border-radius: 8px; cursor: pointer;">Try Another Search</button>
       </div>
@@ -383,8 +655,9 @@ function displayErrorState() {
 // Clear search and hide results
 function clearSearch() {
   document.getElementById('searchForm').reset();
+  resetFollowUp();
   document.getElementById('results').classList.add('hidden');
-  document.getElementById('city').innerHTML = '<option value="">Select City</option>';
+  document.getElementById('city').innerHTML = '<option value="">Whole state</option>';
   document.getElementById('city').disabled = true;
   document.getElementById('query').focus();
 }
@@ -557,6 +830,152 @@ async function handleContactForm(e) {
   }
 }
 
+// ===== SEARCH SUGGESTIONS =====
+
+// Wait for a pause in typing before asking for suggestions
+const SUGGEST_DEBOUNCE_MS = 200;
+const SUGGEST_MIN_CHARS = 2;
+
+let suggestTimer = null;
+let suggestController = null; // Aborts the previous request when the user keeps typing
+let activeSuggestion = -1;
+
+// Wire the typeahead dropdown to the query input
+function initializeSuggestions() {
+  const queryInput = document.getElementById('query');
+
+  queryInput.addEventListener('input', () => {
+    clearTimeout(suggestTimer);
+    suggestTimer = setTimeout(fetchSuggestions, SUGGEST_DEBOUNCE_MS);
+  });
+  queryInput.addEventListener('keydown', handleSuggestionKeys);
+  queryInput.addEventListener('blur', hideSuggestions);
+}
+
+// Fetch completions for the current input, scoped to the selected state
+function fetchSuggestions() {
+  const query = document.getElementById('query').value.trim();
+  if (suggestController) suggestController.abort();
+
+  if (query.length < SUGGEST_MIN_CHARS) {
+    hideSuggestions();
+    return;
+  }
+
+  suggestController = new AbortController();
+  const params = new URLSearchParams({ q: query, state: document.getElementById('state').value });
+
+  fetch(`${getApiUrl('suggest')}?${params.toString()}`, { signal: suggestController.signal })
+    .then((res) => (res.ok ? res.json() : { suggestions: [] }))
+    .then((data) => renderSuggestions(data.suggestions || []))
+    .catch((err) => {
+      if (err.name !== 'AbortError') console.warn("[WARN] Suggestions unavailable:", err);
+    });
+}
+
+// Show the dropdown with one option per suggestion
+function renderSuggestions(suggestions) {
+  const list = document.getElementById('querySuggestions');
+  list.innerHTML = '';
+  activeSuggestion = -1;
+
+  suggestions.forEach((suggestion, index) => {
+    const item = document.createElement('li');
+    item.id = `suggestion-${index}`;
+    item.className = 'suggestion-item';
+    item.setAttribute('role', 'option');
+    item.setAttribute('aria-selected', 'false');
+    item.dataset.text = suggestion.text;
+
+    const text = document.createElement('span');
+    text.textContent = suggestion.text;
+    item.appendChild(text);
+
+    if (suggestion.portal_name) {
+      const portal = document.createElement('span');
+      portal.className = 'suggestion-portal';
+      portal.textContent = suggestion.portal_name;
+      item.appendChild(portal);
+    }
+
+    // mousedown fires before the input's blur would hide the list
+    item.addEventListener('mousedown', (e) => {
+      e.preventDefault();
+      chooseSuggestion(suggestion.text);
+    });
+    list.appendChild(item);
+  });
+
+  if (suggestions.length === 0) {
+    hideSuggestions();
+    return;
+  }
+  list.classList.remove('hidden');
+  document.getElementById('query').setAttribute('aria-expanded', 'true');
+}
+
+// Arrow keys move through suggestions, Enter picks one, Escape closes the list
+function handleSuggestionKeys(e) {
+  const list = document.getElementById('querySuggestions');
+  const items = list.querySelectorAll('[role="option"]');
+  if (list.classList.contains('hidden') || items.length === 0) return;
+
+  switch (e.key) {
+    case 'ArrowDown':
+      e.preventDefault();
+      setActiveSuggestion((activeSuggestion + 1) % items.length);
+      break;
+    case 'ArrowUp':
+      e.preventDefault();
+      setActiveSuggestion((activeSuggestion - 1 + items.length) % items.length);
+      break;
+    case 'Enter':
+      // With nothing highlighted, Enter submits the search as typed
+      if (activeSuggestion >= 0) {
+        e.preventDefault();
+        chooseSuggestion(items[activeSuggestion].dataset.text);
+      }
+      break;
+    case 'Escape':
+      e.preventDefault();
+      hideSuggestions();
+      break;
+  }
+}
+
+// Highlight one suggestion and announce it to screen readers
+function setActiveSuggestion(index) {
+  const items = document.querySelectorAll('#querySuggestions [role="option"]');
+  items.forEach((item, i) => {
+    item.classList.toggle('active', i === index);
+    item.setAttribute('aria-selected', i === index ? 'true' : 'false');
+  });
+
+  activeSuggestion = index;
+  items[index].scrollIntoView({ block: 'nearest' });
+  document.getElementById('query').setAttribute('aria-activedescendant', items[index].id);
+}
+
+// Put a suggestion in the search box
+function chooseSuggestion(text) {
+  const queryInput = document.getElementById('query');
+  queryInput.value = text;
+  hideSuggestions();
+  queryInput.focus();
+}
+
+// Close the dropdown and drop any pending request
+function hideSuggestions() {
+  clearTimeout(suggestTimer);
+  if (suggestController) suggestController.abort();
+  activeSuggestion = -1;
+  document.getElementById('querySuggestions').classList.add('hidden');
+
+  const queryInput = document.getElementById('query');
+  queryInput.setAttribute('aria-expanded', 'false');
+  queryInput.removeAttribute('aria-activedescendant');
+}
+
 // Initialize everything when DOM is loaded
 document.addEventListener('DOMContentLoaded', function() {
   // Load states
@@ -567,6 +986,8 @@ document.addEventListener('DOMContentLoaded', function() {
   
   // Add form submit listener
   document.getElementById('searchForm').addEventListener('submit', handleSearch);
+  document.getElementById('followUpForm').addEventListener('submit', handleFollowUp);
+  initializeSuggestions();
   
   // Add input animations
   const inputs = document.querySelectorAll('input, select');